@@ -1,3 +1,3 @@
-define("filter_ace_inline/ace_inline_code",["exports","filter_ace_inline/local/apply_ace_editor"],(function(_exports,_apply_ace_editor){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.initAceInteractive=_exports.initAceHighlighting=void 0;_exports.initAceInteractive=async config=>{if(!globalThis.aceInlineCodeInteractiveDone){for(globalThis.aceInlineCodeInteractiveDone=!0;!globalThis.ace;)await new Promise((resolve=>setTimeout(resolve,1e3)));(0,_apply_ace_editor.applyAceAndBuildUi)(document,!0,config),globalThis.applyAceInteractive=function(){(0,_apply_ace_editor.applyAceAndBuildUi)(document,!0,config)}}};_exports.initAceHighlighting=async config=>{if(!globalThis.aceInlineCodeHighlightingDone){for(globalThis.aceInlineCodeHighlightingDone=!0;!globalThis.ace;)await new Promise((resolve=>setTimeout(resolve,1e3)));(0,_apply_ace_editor.applyAceAndBuildUi)(document,!1,config),globalThis.applyAceHighlighting=function(){(0,_apply_ace_editor.applyAceAndBuildUi)(document,!1,config)}}}}));
+define("filter_ace_inline/ace_inline_code",["exports","filter_ace_inline/local/apply_ace_editor","filter_ace_inline/local/ace_loader","filter_ace_inline/local/code_storage"],(function(_exports,_apply_ace_editor,_ace_loader,_code_storage){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.initAceInteractive=_exports.initAceHighlighting=void 0;_exports.initAceInteractive=async config=>{globalThis.aceInlineCodeInteractiveDone||(globalThis.aceInlineCodeInteractiveDone=!0,(0,_code_storage.setUpStorage)(config.user_id),await initAce(!0,config)&&(globalThis.applyAceInteractive=function(){(0,_apply_ace_editor.applyAceAndBuildUi)(document,!0,config)}))};_exports.initAceHighlighting=async config=>{globalThis.aceInlineCodeHighlightingDone||(globalThis.aceInlineCodeHighlightingDone=!0,await initAce(!1,config)&&(globalThis.applyAceHighlighting=function(){(0,_apply_ace_editor.applyAceAndBuildUi)(document,!1,config)}))};const initAce=async(isInteractive,config)=>{const isAceLoaded=await(0,_ace_loader.waitForAce)();return isAceLoaded?((0,_apply_ace_editor.applyAceAndBuildUi)(document,isInteractive,config),(0,_ace_loader.observeNewContent)((0,_ace_loader.aceElementSelector)(isInteractive),(()=>(0,_apply_ace_editor.applyAceAndBuildUi)(document,isInteractive,config)))):((0,_ace_loader.showPlainTextFallback)(document,isInteractive),(0,_ace_loader.observeNewContent)((0,_ace_loader.aceElementSelector)(isInteractive),(()=>(0,_ace_loader.showPlainTextFallback)(document,isInteractive)))),isAceLoaded}}));
 
 //# sourceMappingURL=ace_inline_code.min.js.map
\ No newline at end of file
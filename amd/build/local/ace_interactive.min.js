@@ -1,3 +1,11 @@
-define("filter_ace_inline/local/ace_interactive",["exports","filter_ace_inline/local/utils","filter_ace_inline/local/file_helpers","filter_ace_inline/local/repository"],(function(_exports,_utils,_file_helpers,_repository){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.handleButtonClick=_exports.executeCode=void 0;_exports.handleButtonClick=async(outputDisplayArea,code,uiParameters)=>{cleanOutput(outputDisplayArea);let errorText="";const params=uiParameters.paramsMap;outputDisplayArea.style.display="",uiParameters.setExecLang(params.lang),uiParameters.setHtmlOutput(params["html-output"]);const mapFunc=params["code-mapper"];mapFunc in globalThis?code=globalThis[mapFunc](code):null!==mapFunc&&(errorText=await(0,_utils.getLangString)("error_script_unknown")),code=params.prefix+code+params.suffix,uiParameters.setStdin(),uiParameters.setFiles(await(0,_file_helpers.getFiles)(uiParameters)),"markup"!==params.lang&&"html"!==params.lang||(outputDisplayArea.setAttribute("class","filter-ace-inline-output-html"),uiParameters.setHtmlOutput(!0),uiParameters.setExecLang("python3"),code="print('''"+code+"''')");try{let sandboxParams=JSON.parse(params.params);sandboxParams.hasOwnProperty("runargs")?sandboxParams.runargs=sandboxParams.runargs.concat(uiParameters.sandboxParams):sandboxParams.runargs=uiParameters.sandboxParams,uiParameters.setRunParams(JSON.stringify(sandboxParams))}catch(SyntaxError){errorText=await(0,_utils.getLangString)("error_json_params")}if(null!==uiParameters.stdin&&"bad_id"!==uiParameters.files||(errorText=await(0,_utils.getLangString)("error_element_unknown")),""!==errorText){let text="*** "+await(0,_utils.getLangString)("error_user_params")+" ***\n"+errorText;return outputDisplayArea.setAttribute("class","filter-ace-inline-output-user"),outputDisplayArea.children.item(0).innerHTML=(0,_utils.escapeHtml)(text),null}return code};_exports.executeCode=async(outputDisplayArea,code,uiParameters)=>{await(0,_repository.processCode)(code,uiParameters).then((responseJson=>(displaySuccess(responseJson,outputDisplayArea,uiParameters),null))).catch((error=>{cleanOutput(outputDisplayArea),outputDisplayArea.setAttribute("class","filter-ace-inline-output-user"),displayTextOutput(error.message,"error_user_params",outputDisplayArea)}))};const displaySuccess=(responseJson,outputDisplayArea,uiParameters)=>{let text="",langString="";const params=uiParameters.paramsMap,htmlOutput=null!==uiParameters.htmlOutput,maxLen=params["max-output-length"];cleanOutput(outputDisplayArea);const response=JSON.parse(responseJson),error=(0,_utils.diagnose)(response);if(""===error)if(htmlOutput&&15===response.result){outputDisplayArea.setAttribute("class","filter-ace-inline-output-html");const html=(0,_utils.createComponent)("div",["filter-ace-inline-html"],{});html.innerHTML=response.output,outputDisplayArea.after(html)}else text+=(0,_utils.combinedOutput)(response,maxLen),15!==response.result&&outputDisplayArea.setAttribute("class","filter-ace-inline-output-error");else{outputDisplayArea.setAttribute("class","filter-ace-inline-output-error");let extra=0==response.error?(0,_utils.combinedOutput)(response,maxLen):"";"error_unknown_runtime"===error&&(extra+=response.error?"(Sandbox error code "+response.error+")":"(Run result: "+response.result+")"),langString+=error,text+=extra}displayTextOutput(text,langString,outputDisplayArea)},displayTextOutput=async(text,langString,outputDisplayArea)=>{""!==langString&&(text="*** "+await(0,_utils.getLangString)(langString)+" ***\n"+text),outputDisplayArea.children.item(0).innerHTML=(0,_utils.escapeHtml)(text)},cleanOutput=outputDisplayArea=>{outputDisplayArea.children.item(0).innerHTML="";const potentialHtml=outputDisplayArea.nextElementSibling;null!==potentialHtml&&"filter-ace-inline-html"===potentialHtml.className&&outputDisplayArea.parentNode.removeChild(outputDisplayArea.nextSibling),outputDisplayArea.setAttribute("class","filter-ace-inline-output-display")}}));
+define("filter_ace_inline/local/ace_interactive",["exports","filter_ace_inline/local/utils","filter_ace_inline/local/ansi","filter_ace_inline/local/file_helpers","filter_ace_inline/local/repository","filter_ace_inline/local/output_check","filter_ace_inline/local/cell_groups"],(function(_exports,_utils,_ansi,_file_helpers,_repository,_output_check,_cell_groups){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.redisplayOutput=_exports.isSuccessfulRun=_exports.handleButtonClick=_exports.executeTests=_exports.executeCode=_exports.clearOutput=_exports.cancelRun=_exports.RUN_ERROR_EVENT=_exports.RUN_COMPLETE_EVENT=_exports.BEFORE_RUN_EVENT=void 0;
+/**
+   * JavaScript for the ace interactive part.
+   *
+   * @module     filter_ace_inline/local/ace_interactive
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const BEFORE_RUN_EVENT=_exports.BEFORE_RUN_EVENT="filter_ace_inline:before-run",RUN_COMPLETE_EVENT=_exports.RUN_COMPLETE_EVENT="filter_ace_inline:run-complete",RUN_ERROR_EVENT=_exports.RUN_ERROR_EVENT="filter_ace_inline:run-error",OUTPUT_STREAMS=[["cmpinfo","stream_compiler"],["output","stream_output"],["stderr","stream_error"]];_exports.handleButtonClick=async(outputDisplayArea,code,uiParameters)=>{cleanOutput(outputDisplayArea);let errorText="";const params=uiParameters.paramsMap;outputDisplayArea.style.display="",uiParameters.setExecLang(params.lang),uiParameters.setHtmlOutput(params["html-output"]);const editorCode=code,mapFunc=params["code-mapper"];mapFunc in globalThis?code=globalThis[mapFunc](code):null!==mapFunc&&(errorText=await(0,_utils.getLangString)("error_script_unknown"));const outputMapFunc=params["output-mapper"];null===outputMapFunc||outputMapFunc in globalThis||(errorText=await(0,_utils.getLangString)("error_script_unknown"));const mapperIndex="string"==typeof code?code.indexOf(editorCode):-1,mappedBefore=mapperIndex>0?code.substring(0,mapperIndex):"";code=params.prefix+code+params.suffix;const earlierCode=(0,_cell_groups.getEarlierCode)(uiParameters,params.lang);code=earlierCode+code;const linesBefore=(earlierCode+params.prefix+mappedBefore).split("\n").length-1;uiParameters.setStdin(),uiParameters.setExpectedOutput(),uiParameters.setTests(),uiParameters.setFiles(await(0,_file_helpers.getFiles)(uiParameters)),"markup"!==params.lang&&"html"!==params.lang||(outputDisplayArea.setAttribute("class","filter-ace-inline-output-html"),uiParameters.setHtmlOutput(!0),uiParameters.setExecLang("python3"),code="print('''"+code+"''')");try{let sandboxParams=JSON.parse(params.params);sandboxParams.hasOwnProperty("runargs")?sandboxParams.runargs=sandboxParams.runargs.concat(uiParameters.sandboxParams):sandboxParams.runargs=uiParameters.sandboxParams,uiParameters.setRunParams(JSON.stringify(sandboxParams))}catch(SyntaxError){errorText=await(0,_utils.getLangString)("error_json_params")}if(!1===uiParameters.tests&&(errorText=await(0,_utils.getLangString)("error_json_tests")),null!==uiParameters.stdin&&"bad_id"!==uiParameters.files&&!1!==uiParameters.expectedOutput||(errorText=await(0,_utils.getLangString)("error_element_unknown")),""!==errorText){let text="*** "+await(0,_utils.getLangString)("error_user_params")+" ***\n"+errorText;return outputDisplayArea.setAttribute("class","filter-ace-inline-output-user"),outputDisplayArea.children.item(0).innerHTML=(0,_utils.escapeHtml)(text),dispatchRunEvent(uiParameters,RUN_ERROR_EVENT,{error:errorText}),null}const detail={code:code};return dispatchRunEvent(uiParameters,BEFORE_RUN_EVENT,detail,!0)?(uiParameters.setCodeOffset(detail.code===code?linesBefore:null),detail.code):(outputDisplayArea.style.display="none",!1)};_exports.executeCode=async(outputDisplayArea,code,uiParameters,runId)=>runInSandbox(code,uiParameters).then((responseJson=>{if(!uiParameters.isCurrentRun(runId))return null;const response=displaySuccess(responseJson,outputDisplayArea,uiParameters);return dispatchRunEvent(uiParameters,RUN_COMPLETE_EVENT,{response:response,succeeded:isSuccessfulRun(responseJson),code:code}),responseJson})).catch((error=>(uiParameters.isCurrentRun(runId)&&(cleanOutput(outputDisplayArea),outputDisplayArea.setAttribute("class","filter-ace-inline-output-user"),displayTextOutput(error.message,"error_user_params",outputDisplayArea),dispatchRunEvent(uiParameters,RUN_ERROR_EVENT,{error:error.message})),null)));_exports.redisplayOutput=(outputDisplayArea,responseJson,uiParameters)=>{outputDisplayArea.style.display="",displaySuccess(responseJson,outputDisplayArea,uiParameters)};const isSuccessfulRun=responseJson=>{const response=JSON.parse(responseJson);return""===(0,_utils.diagnose)(response)&&15===response.result};_exports.isSuccessfulRun=isSuccessfulRun;_exports.cancelRun=(outputDisplayArea,uiParameters)=>{uiParameters.cancelRun(),cleanOutput(outputDisplayArea),displayTextOutput("","run_cancelled",outputDisplayArea)};_exports.clearOutput=(outputDisplayArea,uiParameters)=>{uiParameters.cancelRun(),cleanOutput(outputDisplayArea),outputDisplayArea.style.display="none"};const dispatchRunEvent=(uiParameters,name,detail,cancelable=!1)=>uiParameters.pre.dispatchEvent(new CustomEvent(name,{bubbles:!0,cancelable:cancelable,detail:detail})),runInSandbox=async(code,uiParameters)=>{const timeout=uiParameters.paramsMap["client-timeout"];if(!(timeout>0))return(0,_repository.processCode)(code,uiParameters);const message=await(0,_utils.getLangString)("error_client_timeout",timeout);let timer=null;const timeoutPromise=new Promise(((resolve,reject)=>{timer=setTimeout((()=>reject(new Error(message))),1e3*timeout)}));return Promise.race([(0,_repository.processCode)(code,uiParameters),timeoutPromise]).finally((()=>clearTimeout(timer)))};_exports.executeTests=async(outputDisplayArea,code,uiParameters,runId)=>{const stdin=uiParameters.stdin,files=uiParameters.files,stopOnError=null!==uiParameters.paramsMap["stop-on-error"],summary=(0,_utils.createComponent)("div",["filter-ace-inline-check"],{}),table=await createResultsTable();outputDisplayArea.append(summary,table);let numPassed=0,aborted=!1;try{for(const test of uiParameters.tests){uiParameters.stdin=void 0===test.stdin?stdin:test.stdin,uiParameters.setFiles(mergeFiles(files,test.files));const result=await runTest(code,test,uiParameters);if(!uiParameters.isCurrentRun(runId))return;if(table.tBodies[0].append(createResultsRow(test,result,!0===uiParameters.paramsMap["ansi-output"])),result.passed&&(numPassed+=1),result.isError&&stopOnError&&test!==uiParameters.tests[uiParameters.tests.length-1]){aborted=!0;break}}}catch(error){return void(uiParameters.isCurrentRun(runId)&&(cleanOutput(outputDisplayArea),outputDisplayArea.setAttribute("class","filter-ace-inline-output-user"),displayTextOutput(error.message,"error_user_params",outputDisplayArea),dispatchRunEvent(uiParameters,RUN_ERROR_EVENT,{error:error.message})))}finally{uiParameters.isCurrentRun(runId)&&(uiParameters.stdin=stdin,uiParameters.setFiles(files))}const allPassed=numPassed===uiParameters.tests.length;summary.classList.add(allPassed?"filter-ace-inline-check-pass":"filter-ace-inline-check-fail");let text=await(0,_utils.getLangString)("tests_summary",{passed:numPassed,total:uiParameters.tests.length});aborted&&(text+=" "+await(0,_utils.getLangString)("tests_aborted")),summary.innerHTML=(0,_utils.escapeHtml)(text),dispatchRunEvent(uiParameters,RUN_COMPLETE_EVENT,{response:null,code:null,succeeded:allPassed,passed:numPassed,total:uiParameters.tests.length})};const runTest=async(code,test,uiParameters)=>{const params=uiParameters.paramsMap,maxLen=params["max-output-length"],response=JSON.parse(await runInSandbox(code,uiParameters));response.output=(0,_cell_groups.removeEarlierOutput)(response.output,uiParameters);const error=(0,_utils.diagnose)(response);if(""!==error){const extra=0==response.error?(0,_utils.combinedOutput)(response,maxLen):"";return{got:"*** "+await(0,_utils.getLangString)(error)+" ***\n"+extra,passed:!1,isError:!0}}if(15!==response.result)return{got:(0,_utils.combinedOutput)(response,maxLen),passed:!1,isError:!0};let passed=null;if(void 0!==test.expected){const output=!0===params["ansi-output"]?(0,_ansi.stripAnsi)(response.output):response.output;passed=(0,_output_check.checkOutput)(String(test.expected),output,null!==params["ignore-whitespace"],null!==params["ignore-case"]).passed}return{got:(0,_utils.combinedOutput)(response,maxLen),passed:passed,isError:!1}},mergeFiles=(files,testFiles)=>{let map={};try{map=JSON.parse(files)}catch(SyntaxError){map={}}return JSON.stringify(Object.assign(map,testFiles||{}))},createResultsTable=async()=>{const table=(0,_utils.createComponent)("table",["filter-ace-inline-results"],{}),headerRow=table.createTHead().insertRow();for(const heading of["tests_input","output_check_expected","output_check_got",""]){const cell=(0,_utils.createComponent)("th",[],{});cell.innerHTML=heading?(0,_utils.escapeHtml)(await(0,_utils.getLangString)(heading)):"",headerRow.append(cell)}return table.createTBody(),table},createResultsRow=(test,result,isAnsi)=>{const row=(0,_utils.createComponent)("tr",[],{}),expected=void 0===test.expected?"":String(test.expected);for(const text of[test.stdin||"",expected,result.got]){const cell=(0,_utils.createComponent)("td",[],{}),pre=(0,_utils.createComponent)("pre",[],{});pre.innerHTML=isAnsi&&text===result.got?(0,_ansi.ansiToHtml)(text):(0,_utils.escapeHtml)(text),cell.append(pre),row.append(cell)}const mark=(0,_utils.createComponent)("td",["filter-ace-inline-results-mark"],{});return null!==result.passed&&(row.classList.add(result.passed?"filter-ace-inline-results-pass":"filter-ace-inline-results-fail"),mark.innerHTML=result.passed?"&#x2714;":"&#x2718;"),row.append(mark),row},displaySuccess=(responseJson,outputDisplayArea,uiParameters)=>{let text="",langString="";const params=uiParameters.paramsMap,htmlOutput=null!==uiParameters.htmlOutput,maxLen=params["max-output-length"],isAnsi=!0===params["ansi-output"],isCombined=null!==params["combined-output"];cleanOutput(outputDisplayArea);const response=JSON.parse(responseJson);if(response.output=(0,_cell_groups.removeEarlierOutput)(response.output,uiParameters),null!==params["output-mapper"]&&displayMappedOutput(response,outputDisplayArea,uiParameters))return response;const error=(0,_utils.diagnose)(response);if(""===error){const segments=null!==params["image-output"]?(0,_utils.splitImageOutput)(response.output):[response.output];if(!htmlOutput&&segments.length>1&&isCombined)text+=response.cmpinfo+(0,_utils.truncate)(segments[0],maxLen),displayImageOutput(segments,response.stderr,maxLen,outputDisplayArea,isAnsi);else if(htmlOutput&&15===response.result){outputDisplayArea.setAttribute("class","filter-ace-inline-output-html");const html=(0,_utils.createComponent)("div",["filter-ace-inline-html"],{});html.innerHTML=response.output,outputDisplayArea.after(html)}else isCombined?text+=(0,_utils.combinedOutput)(response,maxLen):displayStreams(response,htmlOutput?[response.output]:segments,maxLen,outputDisplayArea,isAnsi);if(15!==response.result&&outputDisplayArea.setAttribute("class","filter-ace-inline-output-error"),15===response.result&&!htmlOutput&&null!==uiParameters.expectedOutput){const textOutput=segments.filter(((segment,i)=>i%2==0)).join("");displayOutputCheck(isAnsi?(0,_ansi.stripAnsi)(textOutput):textOutput,uiParameters,outputDisplayArea)}}else{outputDisplayArea.setAttribute("class","filter-ace-inline-output-error");let extra="";0==response.error&&isCombined?extra=(0,_utils.combinedOutput)(response,maxLen):0==response.error&&displayStreams(response,[response.output],maxLen,outputDisplayArea,isAnsi),"error_unknown_runtime"===error&&(extra+=response.error?"(Sandbox error code "+response.error+")":"(Run result: "+response.result+")"),langString+=error,text+=extra}return displayTextOutput(text,langString,outputDisplayArea,isAnsi),response},displayMappedOutput=(response,outputDisplayArea,uiParameters)=>{let mapped=null;try{mapped=globalThis[uiParameters.paramsMap["output-mapper"]]({...response})}catch(error){return outputDisplayArea.setAttribute("class","filter-ace-inline-output-error"),displayTextOutput(String(error),"error_output_mapper",outputDisplayArea),!0}if(null==mapped)return!1;if("string"==typeof mapped||"string"==typeof mapped.text)displayTextOutput("string"==typeof mapped?mapped:mapped.text,"",outputDisplayArea,!0===uiParameters.paramsMap["ansi-output"]);else{if(!(mapped instanceof Node||"string"==typeof mapped.html))return Object.assign(response,mapped),!1;{const html=(0,_utils.createComponent)("div",["filter-ace-inline-html"],{});mapped instanceof Node?html.append(mapped):html.innerHTML=mapped.html,outputDisplayArea.setAttribute("class","filter-ace-inline-output-html"),outputDisplayArea.after(html)}}return!0},displayImageOutput=(segments,stderr,maxLen,outputDisplayArea,isAnsi)=>{for(let i=1;i<segments.length;i+=2){const image=(0,_utils.createComponent)("img",["filter-ace-inline-output-image"],{src:segments[i],alt:""});outputDisplayArea.append(image);let text=(0,_utils.truncate)(segments[i+1],maxLen);if(i+2===segments.length&&(text+=(0,_utils.truncate)(stderr,maxLen)),""!==text){const pre=(0,_utils.createComponent)("pre",["filter-ace-inline-output-text"],{});pre.innerHTML=isAnsi?(0,_ansi.ansiToHtml)(text):(0,_utils.escapeHtml)(text),outputDisplayArea.append(pre)}}},displayStreams=async(response,segments,maxLen,outputDisplayArea,isAnsi)=>{const labels=[];for(const[field,langString]of OUTPUT_STREAMS){if(!response[field])continue;const section=(0,_utils.createComponent)("div",["filter-ace-inline-stream","filter-ace-inline-stream-"+field],{}),label=(0,_utils.createComponent)("div",["filter-ace-inline-stream-label"],{}),pre=(0,_utils.createComponent)("pre",["filter-ace-inline-output-text"],{}),text=(0,_utils.truncate)("output"===field?segments[0]:response[field],maxLen);pre.innerHTML=isAnsi?(0,_ansi.ansiToHtml)(text):(0,_utils.escapeHtml)(text),section.append(label,pre),"output"===field&&segments.length>1&&displayImageOutput(segments,"",maxLen,section,isAnsi),outputDisplayArea.append(section),labels.push([label,langString])}for(const[label,langString]of labels)label.innerHTML=(0,_utils.escapeHtml)(await(0,_utils.getLangString)(langString))},displayTextOutput=async(text,langString,outputDisplayArea,isAnsi=!1)=>{""!==langString&&(text="*** "+await(0,_utils.getLangString)(langString)+" ***\n"+text),outputDisplayArea.children.item(0).innerHTML=isAnsi?(0,_ansi.ansiToHtml)(text):(0,_utils.escapeHtml)(text)},displayOutputCheck=async(output,uiParameters,outputDisplayArea)=>{const params=uiParameters.paramsMap,result=(0,_output_check.checkOutput)(uiParameters.expectedOutput,output,null!==params["ignore-whitespace"],null!==params["ignore-case"]),banner=(0,_utils.createComponent)("div",["filter-ace-inline-check",result.passed?"filter-ace-inline-check-pass":"filter-ace-inline-check-fail"],{});if(banner.innerHTML=(0,_utils.escapeHtml)(await(0,_utils.getLangString)(result.passed?"output_check_pass":"output_check_fail")),outputDisplayArea.append(banner),!result.passed){const diff=(0,_utils.createComponent)("pre",["filter-ace-inline-diff"],{}),legend=(0,_utils.createComponent)("div",["filter-ace-inline-diff-legend"],{});for(const type of["expected","got"]){const key=(0,_utils.createComponent)("span",["filter-ace-inline-diff-"+type],{});key.innerHTML=(0,_utils.escapeHtml)(await(0,_utils.getLangString)("output_check_"+type)),legend.append(key)}for(const line of result.diff){const span=(0,_utils.createComponent)("span",["filter-ace-inline-diff-"+line.type],{});span.innerHTML=(0,_utils.escapeHtml)(line.line)||" ",diff.append(span)}outputDisplayArea.append(legend,diff)}},cleanOutput=outputDisplayArea=>{for(outputDisplayArea.children.item(0).innerHTML="";outputDisplayArea.children.length>1;)outputDisplayArea.lastElementChild.remove();const potentialHtml=outputDisplayArea.nextElementSibling;null!==potentialHtml&&"filter-ace-inline-html"===potentialHtml.className&&outputDisplayArea.parentNode.removeChild(outputDisplayArea.nextSibling),outputDisplayArea.setAttribute("class","filter-ace-inline-output-display")}}));
 
 //# sourceMappingURL=ace_interactive.min.js.map
\ No newline at end of file
@@ -0,0 +1,13 @@
+define("filter_ace_inline/local/ace_loader",["exports","filter_ace_inline/local/utils"],(function(_exports,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.waitForAce=_exports.showPlainTextFallback=_exports.observeNewContent=_exports.aceElementSelector=void 0;
+/**
+   * JavaScript for waiting for Ace to load, for watching the page for newly
+   * inserted code elements and for displaying the code as plain text if Ace
+   * fails to load.
+   *
+   * @module     filter_ace_inline/local/ace_loader
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const aceElementSelector=isInteractive=>{const className=isInteractive?"ace-interactive-code":"ace-highlight-code",alternativeName="data-"+className,selector="pre."+className+", pre["+alternativeName+"], code."+className+", code["+alternativeName+"]";return isInteractive?selector+", div.ace-interactive-project, div[data-ace-interactive-project]":selector};_exports.aceElementSelector=aceElementSelector;_exports.waitForAce=async()=>{const deadline=Date.now()+3e4;for(;!globalThis.ace&&Date.now()<deadline;)await new Promise((resolve=>setTimeout(resolve,250)));return!!globalThis.ace};_exports.observeNewContent=(selector,handler)=>{let isPending=!1;new MutationObserver((mutations=>{mutations.some((mutation=>!isInFilterElement(mutation.target)&&Array.from(mutation.addedNodes).some((node=>node.nodeType===Node.ELEMENT_NODE&&(node.matches(selector)||null!==node.querySelector(selector))))))&&!isPending&&(isPending=!0,setTimeout((()=>{isPending=!1,handler()}),0))})).observe(document.body,{childList:!0,subtree:!0})};const isInFilterElement=node=>node.nodeType===Node.ELEMENT_NODE&&null!==node.closest(".ace_editor, .filter-ace-inline-block");_exports.showPlainTextFallback=async(root,isInteractive)=>{const message=await(0,_utils.getLangString)(isInteractive?"error_ace_not_loaded_interactive":"error_ace_not_loaded");for(const element of root.querySelectorAll(aceElementSelector(isInteractive))){const pre="CODE"===element.tagName?element.parentNode:element,previous=null===pre?null:pre.previousElementSibling;if(null===pre||null!==previous&&previous.classList.contains("filter-ace-inline-fallback"))continue;const notice=(0,_utils.createComponent)("div",["alert","alert-warning","filter-ace-inline-fallback"],{});notice.innerHTML=message,pre.before(notice),(element.hasAttribute("data-hidden")||element.hasAttribute("hidden"))&&(pre.style.display="none")}}}));
+
+//# sourceMappingURL=ace_loader.min.js.map
\ No newline at end of file
@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/ace_options",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.parseAceOptions=_exports.applyAceOptions=void 0;
+/**
+   * JavaScript for validating the Ace editor options given by the author
+   * or administrator and applying them to an editor.
+   *
+   * @module     filter_ace_inline/local/ace_options
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const isBoolean=value=>"boolean"==typeof value,isIntegerIn=(min,max)=>value=>Number.isInteger(value)&&value>=min&&value<=max,isOneOf=(...values)=>value=>values.includes(value),ALLOWED_OPTIONS={tabSize:isIntegerIn(1,16),useSoftTabs:isBoolean,navigateWithinSoftTabs:isBoolean,wrap:value=>isBoolean(value)||"free"===value||isIntegerIn(20,200)(value),indentedSoftWrap:isBoolean,displayIndentGuides:isBoolean,highlightActiveLine:isBoolean,highlightSelectedWord:isBoolean,showInvisibles:isBoolean,showPrintMargin:isBoolean,printMarginColumn:isIntegerIn(20,200),showFoldWidgets:isBoolean,fadeFoldWidgets:isBoolean,behavioursEnabled:isBoolean,wrapBehavioursEnabled:isBoolean,cursorStyle:isOneOf("ace","slim","smooth","wide"),scrollPastEnd:isBoolean,keyboardHandler:isOneOf("vim","emacs","sublime","vscode"),enableBasicAutocompletion:isBoolean,enableLiveAutocompletion:isBoolean,enableSnippets:isBoolean},LANGUAGE_TOOLS_OPTIONS=["enableBasicAutocompletion","enableLiveAutocompletion","enableSnippets"];_exports.parseAceOptions=json=>{const options={};if(!json||!json.trim())return options;let given=null;try{given=JSON.parse(json)}catch(error){return options}if(null===given||"object"!=typeof given||Array.isArray(given))return options;for(const name in given)ALLOWED_OPTIONS.hasOwnProperty(name)&&ALLOWED_OPTIONS[name](given[name])&&(options[name]=given[name]);return options};_exports.applyAceOptions=(editor,options)=>{const basicOptions={},toolsOptions={};for(const name in options)"keyboardHandler"===name?editor.setKeyboardHandler("ace/keyboard/"+options[name]):LANGUAGE_TOOLS_OPTIONS.includes(name)?toolsOptions[name]=options[name]:basicOptions[name]=options[name];editor.setOptions(basicOptions),Object.keys(toolsOptions).length>0&&globalThis.ace.config.loadModule("ace/ext/language_tools",(()=>editor.setOptions(toolsOptions)))}}));
+
+//# sourceMappingURL=ace_options.min.js.map
\ No newline at end of file
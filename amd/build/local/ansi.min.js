@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/ansi",["exports","filter_ace_inline/local/utils"],(function(_exports,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.stripAnsi=_exports.ansiToHtml=void 0;
+/**
+   * JavaScript for converting the ANSI escape codes that set the colour and
+   * style of terminal output into HTML.
+   *
+   * @module     filter_ace_inline/local/ansi
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const ESCAPE_SEQUENCE=new RegExp("\\u001b(?:\\[([0-9;:?]*)([@-~])|\\][^\\u0007\\u001b]*(?:\\u0007|\\u001b\\\\)|\\[[0-9;:?]*$|[@-_]?)","g"),STYLE_ON={1:"bold",2:"dim",3:"italic",4:"underline",9:"strike"},STYLE_OFF={21:["bold"],22:["bold","dim"],23:["italic"],24:["underline"],29:["strike"]};_exports.stripAnsi=text=>text.replace(ESCAPE_SEQUENCE,"");_exports.ansiToHtml=text=>{let state=newState(),html="",start=0;for(const match of text.matchAll(ESCAPE_SEQUENCE))html+=styledHtml(text.substring(start,match.index),state),start=match.index+match[0].length,"m"===match[2]&&(state=applySgr(state,match[1]));return html+styledHtml(text.substring(start),state)};const newState=()=>({styles:[],fg:null,bg:null}),applySgr=(state,paramString)=>{const codes=paramString.split(/[;:]/).map((code=>""===code?0:parseInt(code))),newStyles=new Set(state.styles);let{fg:fg,bg:bg}=state;for(let i=0;i<codes.length;i++){const code=codes[i];if(0===code)newStyles.clear(),fg=bg=null;else if(code in STYLE_ON)newStyles.add(STYLE_ON[code]);else if(code in STYLE_OFF)STYLE_OFF[code].forEach((style=>newStyles.delete(style)));else if(code>=30&&code<=37)fg=code-30;else if(code>=90&&code<=97)fg=code-90+8;else if(code>=40&&code<=47)bg=code-40;else if(code>=100&&code<=107)bg=code-100+8;else if(39===code)fg=null;else if(49===code)bg=null;else if(38===code||48===code){const[colour,length]=extendedColour(codes,i+1);38===code?fg=colour:bg=colour,i+=length}}return{styles:[...newStyles],fg:fg,bg:bg}},extendedColour=(codes,index)=>{if(5===codes[index]&&index+1<codes.length){const n=codes[index+1];return[n<16?n:colour256(n),2]}if(2===codes[index]&&index+3<codes.length){const[r,g,b]=codes.slice(index+1,index+4);return["rgb("+r+","+g+","+b+")",4]}return[null,codes.length-index]},colour256=n=>{if(n>=232){const grey=8+10*(n-232);return"rgb("+grey+","+grey+","+grey+")"}const level=i=>0===i?0:55+40*i,cube=n-16;return"rgb("+level(Math.floor(cube/36))+","+level(Math.floor(cube/6)%6)+","+level(cube%6)+")"},styledHtml=(text,state)=>{const classes=state.styles.map((style=>"filter-ace-inline-ansi-"+style)),styles=[];for(const[layer,colour]of[["fg",state.fg],["bg",state.bg]])"number"==typeof colour?classes.push("filter-ace-inline-ansi-"+layer+"-"+colour):null!==colour&&styles.push(("fg"===layer?"color: ":"background-color: ")+colour);if(""===text||0===classes.length&&0===styles.length)return(0,_utils.escapeHtml)(text);const style=0===styles.length?"":' style="'+styles.join("; ")+'"';return'<span class="'+classes.join(" ")+'"'+style+">"+(0,_utils.escapeHtml)(text)+"</span>"}}));
+
+//# sourceMappingURL=ansi.min.js.map
\ No newline at end of file
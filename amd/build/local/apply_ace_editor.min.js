@@ -1,11 +1,3 @@
-define("filter_ace_inline/local/apply_ace_editor",["exports","filter_ace_inline/local/ui_parameters","filter_ace_inline/local/display_ui","filter_ace_inline/local/file_helpers"],(function(_exports,_ui_parameters,_display_ui,_file_helpers){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.applyAceAndBuildUi=void 0;
-/**
-   * JavaScript for applying the ace editor.
-   *
-   * @module     filter_ace_inline/local/apply_ace_editor
-   * @copyright  Richard Lobb, Michelle Hsieh 2022
-   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */
-const ACE_MODE_MAP={c:"c_cpp",cpp:"c_cpp",js:"javascript",nodejs:"javascript","c#":"cs",octave:"matlab","c++":"c_cpp",python2:"python",python3:"python",markup:"html"};_exports.applyAceAndBuildUi=async(root,isInteractive,config)=>{const className=isInteractive?"ace-interactive-code":"ace-highlight-code",alternativeName=isInteractive?"data-ace-interactive-code":"data-ace-highlight-code",preElements=root.getElementsByTagName("pre");for(const pre of preElements)if("none"!==pre.style.display){const uiParams=new _ui_parameters.UiParameters(pre);uiParams.extractUiParameters(isInteractive,config),(pre.classList.contains(className)||pre.hasAttribute(alternativeName))&&applyToPre(pre,isInteractive,uiParams)}const codeElements=root.getElementsByTagName("code");for(const code of codeElements)if(null!==code.parentNode&&"none"!==code.parentNode.style.display&&(code.hasAttribute(alternativeName)||code.classList.contains(className))){const uiParams=new _ui_parameters.UiParameters(code);uiParams.extractUiParameters(isInteractive,config),applyToPre(code.parentNode,isInteractive,uiParams)}};const applyToPre=async(pre,isInteractive,uiParameters)=>{const params=uiParameters.paramsMap;if(params["file-upload-id"]&&(0,_file_helpers.setupFileHandler)(params["file-upload-id"]),params.hidden){if(isInteractive){const getCode=()=>pre.innerText;(0,_display_ui.addUi)(pre,getCode,uiParameters)}}else setUpAce(pre,uiParameters,isInteractive);pre.style.display="none"},setUpAce=async(pre,uiParameters,isInteractive)=>{const params=uiParameters.paramsMap,darkMode=params["dark-theme-mode"];let theme=null;theme=2==darkMode||1==darkMode&&globalThis.matchMedia&&globalThis.matchMedia("(prefers-color-scheme: dark)").matches?"ace/theme/tomorrow_night":"ace/theme/textmate";const showLineNumbers=!!params["start-line-number"];let aceLang=params["ace-lang"]?params["ace-lang"]:params.lang;aceLang=aceLang.toLowerCase(),aceLang in ACE_MODE_MAP&&(aceLang=ACE_MODE_MAP[aceLang]);const mode="ace/mode/"+aceLang,text=pre.textContent,lines=text.split("\n"),numLines=lines.length,longestLine=longest(lines),editNode=document.createElement("div");editNode.style.margin="6px 0px 6px 0px",editNode.style.lineHeight="1.3",editNode.style.width=pre.style.width?pre.style.width:"100%",editNode.style.resize="none",pre.after(editNode);let aceConfig={newLineMode:"unix",mode:mode,minLines:Math.max(numLines,params["min-lines"]),maxLines:params["max-lines"],fontSize:params["font-size"],showLineNumbers:showLineNumbers,firstLineNumber:params["start-line-number"],showGutter:showLineNumbers,showPrintMargin:!1,autoScrollEditorIntoView:!0,highlightActiveLine:showLineNumbers};const editor=globalThis.ace.edit(editNode,aceConfig),session=editor.getSession();if(!pre.style.hasOwnProperty("width")||0==pre.style.width){const aceWidestLine=Math.ceil(lineLength(editor.renderer,longestLine)),minWidth=isInteractive?aceWidestLine+42:aceWidestLine;editNode.style.minWidth=minWidth+"px"}if(session.setValue(text),editor.setTheme(theme),null!==params.readonly&&(editor.setReadOnly(!0),editNode.classList.add("readonly")),isInteractive){const getCode=()=>editor.getSession().getValue();(0,_display_ui.addUi)(editNode,getCode,uiParameters)}else editor.renderer.$cursorLayer.element.style.display="none"},lineLength=(renderer,line)=>{const chars=renderer.session.$getStringScreenWidth(line)[0];return Math.max(chars,2)*renderer.characterWidth+2*renderer.$padding+2+0},longest=lines=>{let longest="";for(const line of lines)line.length>longest.length&&(longest=line);return longest}}));
+define("filter_ace_inline/local/apply_ace_editor",["exports","filter_ace_inline/local/ui_parameters","filter_ace_inline/local/display_ui","filter_ace_inline/local/file_helpers","filter_ace_inline/local/code_storage","filter_ace_inline/local/toolbar","filter_ace_inline/local/editor_size","filter_ace_inline/local/themes","filter_ace_inline/local/ace_options","filter_ace_inline/local/line_highlights","filter_ace_inline/local/locked_lines","filter_ace_inline/local/code_changes","filter_ace_inline/local/error_lines","filter_ace_inline/local/project_tabs","filter_ace_inline/local/language_selector","filter_ace_inline/local/utils"],(function(_exports,_ui_parameters,_display_ui,_file_helpers,_code_storage,_toolbar,_editor_size,_themes,_ace_options,_line_highlights,_locked_lines,_code_changes,_error_lines,_project_tabs,_language_selector,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.applyAceAndBuildUi=void 0;_exports.applyAceAndBuildUi=async(root,isInteractive,config)=>{const className=isInteractive?"ace-interactive-code":"ace-highlight-code",alternativeName=isInteractive?"data-ace-interactive-code":"data-ace-highlight-code";if(isInteractive)for(const container of root.querySelectorAll("div.ace-interactive-project, div[data-ace-interactive-project]"))if("none"!==container.style.display){const uiParams=new _ui_parameters.UiParameters(container);uiParams.extractUiParameters(isInteractive,config),applyToProject(container,uiParams)}const preElements=root.getElementsByTagName("pre");for(const pre of preElements)if("none"!==pre.style.display){const uiParams=new _ui_parameters.UiParameters(pre);uiParams.extractUiParameters(isInteractive,config),(pre.classList.contains(className)||pre.hasAttribute(alternativeName))&&applyToPre(pre,isInteractive,uiParams)}const codeElements=root.getElementsByTagName("code");for(const code of codeElements)if(null!==code.parentNode&&"none"!==code.parentNode.style.display&&(code.hasAttribute(alternativeName)||code.classList.contains(className))){const uiParams=new _ui_parameters.UiParameters(code);uiParams.extractUiParameters(isInteractive,config),applyToPre(code.parentNode,isInteractive,uiParams)}};const applyToPre=async(pre,isInteractive,uiParameters)=>{const params=uiParameters.paramsMap;if(params["file-upload-id"]&&(0,_file_helpers.setupFileHandler)(params["file-upload-id"],uiParameters.maxFileSize),params.hidden){if(isInteractive){const getCode=()=>pre.innerText,setCode=code=>{pre.textContent=code};(0,_display_ui.addUi)(pre,getCode,uiParameters,null,setCode)}}else setUpAce(pre,uiParameters,isInteractive);pre.style.display="none"},applyToProject=async(container,uiParameters)=>{const files=Array.from(container.children).filter((child=>"PRE"===child.tagName&&child.dataset.filename));if(0===files.length)return;container.style.display="none";const params=uiParameters.paramsMap;params["file-upload-id"]&&(0,_file_helpers.setupFileHandler)(params["file-upload-id"],uiParameters.maxFileSize);const filenames=files.map((pre=>pre.dataset.filename)),mainIndex=Math.max(files.findIndex((pre=>pre.hasAttribute("data-main"))),0),aceLang=params["ace-lang"]?params["ace-lang"]:params.lang,storageKey=(0,_code_storage.getStorageKey)(container,uiParameters),editors=[];let selectedIndex=mainIndex;const{tabList:tabList,panels:panels}=(0,_project_tabs.createTabs)(filenames,mainIndex,(index=>{selectedIndex=index,index<editors.length&&editors[index].resize(!0)})),block=(0,_utils.createComponent)("div",["filter-ace-inline-block","filter-ace-inline-project"],{});block.append(tabList,...panels),container.after(block);const resets=[],projectFiles={};files.forEach(((pre,i)=>{const{code:text,rows:markedRows}=(0,_locked_lines.extractLockMarkers)(pre.textContent),editNode=createEditNode(container.style.width?container.style.width:"100%");panels[i].append(editNode);const editor=createEditor(editNode,text,(0,_project_tabs.fileMode)(filenames[i],"ace/mode/"+(0,_utils.aceModeName)(aceLang)),uiParameters);null!==params.readonly||pre.hasAttribute("data-readonly")?(editor.setReadOnly(!0),editNode.classList.add("readonly")):((0,_locked_lines.setUpLockedLines)(editor,markedRows),null===params["no-autosave"]&&resets.push(setUpAutosave(editor,storageKey+"/"+filenames[i],text))),i!==mainIndex&&(projectFiles[filenames[i]]=()=>editor.getSession().getValue()),editors.push(editor)})),uiParameters.setProjectFiles(projectFiles);const mainEditor=editors[mainIndex],resetCode=0===resets.length?null:()=>{resets.forEach((reset=>reset())),editors[selectedIndex].focus()};(0,_error_lines.setUpErrorLines)(mainEditor,uiParameters,Object.keys(projectFiles));const buttonDiv=await(0,_display_ui.addUi)(panels[panels.length-1],(()=>mainEditor.getSession().getValue()),uiParameters,resetCode,(code=>mainEditor.getSession().setValue(code)));for(const[i,editor]of editors.entries())addRunCommand(editor,buttonDiv),editor.textInput.getElement().setAttribute("aria-label",await(0,_utils.getLangString)("editor_label_project",filenames[i])),setUpEscape(editor)},setUpAce=async(pre,uiParameters,isInteractive)=>{const params=uiParameters.paramsMap,initialLang=params.lang,aceLang=params["ace-lang"]?params["ace-lang"]:params.lang,mode="ace/mode/"+(0,_utils.aceModeName)(aceLang),{code:text,rows:markedRows}=(0,_locked_lines.extractLockMarkers)(pre.textContent),getLang=()=>params.lang===initialLang?aceLang:params.lang,longestLine=longest(text.split("\n")),editNode=createEditNode(pre.style.width?pre.style.width:"100%");if(isInteractive){const block=(0,_utils.createComponent)("div",["filter-ace-inline-block"],{});pre.after(block),block.append(editNode)}else pre.after(editNode);const editor=createEditor(editNode,text,mode,uiParameters);if(!pre.style.hasOwnProperty("width")||0==pre.style.width){const aceWidestLine=Math.ceil(lineLength(editor.renderer,longestLine)),minWidth=isInteractive?aceWidestLine+42:aceWidestLine;editNode.style.minWidth=minWidth+"px"}if(params["highlight-lines"]&&(0,_line_highlights.highlightLines)(editor,params["highlight-lines"],params["start-line-number"]),isInteractive&&null===params.readonly){const rows=params["locked-lines"]?(0,_locked_lines.lockedRows)(params["locked-lines"],params["start-line-number"],editor.getSession().getLength()):[];(0,_locked_lines.setUpLockedLines)(editor,markedRows.concat(rows))}if(null!==params.readonly&&(editor.setReadOnly(!0),editNode.classList.add("readonly")),isInteractive){const getCode=()=>editor.getSession().getValue();let resetCode=null;const storageKey=null===params.readonly&&null===params["no-autosave"]?(0,_code_storage.getStorageKey)(pre,uiParameters):null;null!==storageKey&&(resetCode=setUpAutosave(editor,storageKey,text));let languageSelector=null;if(uiParameters.langs.length>1&&(languageSelector=await(0,_language_selector.createLanguageSelector)(editor,uiParameters,storageKey),null!==resetCode)){const resetEditor=resetCode;resetCode=()=>{languageSelector.reset(),resetEditor()}}const setCode=(code,lang)=>{null!==languageSelector&&languageSelector.setLang(lang),editor.getSession().setValue(code)};(0,_error_lines.setUpErrorLines)(editor,uiParameters);const buttonDiv=await(0,_display_ui.addUi)(editNode,getCode,uiParameters,resetCode,setCode);if(null!==languageSelector&&buttonDiv.querySelector(".btn-ace-inline-execution").after(languageSelector.element),buttonDiv.append(await(0,_editor_size.createExpandButton)(editNode.parentNode,editor)),null!==params["show-changes"]&&null===params.readonly){const getOriginal=()=>params.lang!==initialLang&&params.lang in uiParameters.starterCode?uiParameters.starterCode[params.lang]:text;await(0,_code_changes.addChangesView)(editor,getOriginal,buttonDiv)}addRunCommand(editor,buttonDiv),editor.textInput.getElement().setAttribute("aria-label",await(0,_utils.getLangString)("editor_label_interactive"))}else editor.renderer.$cursorLayer.element.style.display="none",editor.textInput.getElement().setAttribute("aria-label",await(0,_utils.getLangString)("editor_label_highlight"));setUpEscape(editor),null!==params.resizable&&await(0,_editor_size.addResizeHandle)(editor),null!==params.toolbar&&editNode.before(await(0,_toolbar.createCodeToolbar)((()=>editor.getSession().getValue()),getLang))},createEditNode=width=>{const editNode=document.createElement("div");return editNode.style.margin="6px 0px 6px 0px",editNode.style.lineHeight="1.3",editNode.style.width=width,editNode.style.resize="none",editNode},createEditor=(editNode,text,mode,uiParameters)=>{const params=uiParameters.paramsMap,showLineNumbers=!!params["start-line-number"],aceConfig={newLineMode:"unix",mode:mode,minLines:Math.max(text.split("\n").length,params["min-lines"]),maxLines:params["max-lines"],fontSize:params["font-size"],showLineNumbers:showLineNumbers,firstLineNumber:params["start-line-number"],showGutter:showLineNumbers,showPrintMargin:!1,autoScrollEditorIntoView:!0,highlightActiveLine:showLineNumbers},editor=globalThis.ace.edit(editNode,aceConfig);return(0,_ace_options.applyAceOptions)(editor,uiParameters.aceOptions),editor.getSession().setValue(text),(0,_themes.setUpTheme)(editor,uiParameters),editor},addRunCommand=(editor,buttonDiv)=>{const runButton=buttonDiv.querySelector(".btn-ace-inline-execution");editor.commands.addCommand({name:"runCode",bindKey:{win:"Ctrl-Enter",mac:"Command-Enter"},exec:()=>runButton.click(),readOnly:!0}),runButton.setAttribute("aria-keyshortcuts","Control+Enter Meta+Enter")},setUpEscape=editor=>{editor.container.setAttribute("tabindex","-1"),editor.commands.addCommand({name:"leaveEditor",bindKey:{win:"Esc",mac:"Esc"},exec:()=>{(0,_editor_size.leaveFullScreen)(editor)||editor.container.focus()},readOnly:!0})},setUpAutosave=(editor,key,original)=>{const session=editor.getSession(),savedCode=(0,_code_storage.loadCode)(key,original);return null!==savedCode&&session.setValue(savedCode),session.on("change",(()=>(0,_code_storage.saveCode)(key,original,session.getValue()))),()=>{session.setValue(original),editor.focus()}},lineLength=(renderer,line)=>{const chars=renderer.session.$getStringScreenWidth(line)[0];return Math.max(chars,2)*renderer.characterWidth+2*renderer.$padding+2+0},longest=lines=>{let longest="";for(const line of lines)line.length>longest.length&&(longest=line);return longest}}));
 
 //# sourceMappingURL=apply_ace_editor.min.js.map
\ No newline at end of file
@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/cell_groups",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.removeEarlierOutput=_exports.registerCell=_exports.getEarlierCode=void 0;
+/**
+   * JavaScript for notebook-style groups of interactive elements ("cells"),
+   * in which running a cell first runs all the earlier cells in its group.
+   *
+   * @module     filter_ace_inline/local/cell_groups
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const SEPARATOR="__filter_ace_inline_cell_output_starts_here__",PRINT_SEPARATOR={python2:'print "'+SEPARATOR+'"\n',python3:'print("'+SEPARATOR+'")\n',nodejs:'console.log("'+SEPARATOR+'");\n',octave:'disp("'+SEPARATOR+'");\n'},groups={};_exports.registerCell=(getCode,uiParameters)=>{const group=uiParameters.paramsMap.group;if(group){groups.hasOwnProperty(group)||(groups[group]=[]);const order=uiParameters.paramsMap["cell-order"],cells=groups[group];cells.push({getCode:getCode,uiParameters:uiParameters,order:null===order||isNaN(order)?cells.length:order})}};_exports.getEarlierCode=(uiParameters,lang)=>{const group=uiParameters.paramsMap.group;if(!group||!groups.hasOwnProperty(group))return"";const cells=groups[group],thisCell=cells.find((cell=>cell.uiParameters===uiParameters)),earlierCells=cells.filter((cell=>cell.order<thisCell.order)).sort(((cell1,cell2)=>cell1.order-cell2.order));if(0===earlierCells.length)return"";let code="";for(const cell of earlierCells)code+=cellCode(cell),code.endsWith("\n")||(code+="\n");return code+(PRINT_SEPARATOR[lang]||"")};_exports.removeEarlierOutput=(output,uiParameters)=>{const marker=SEPARATOR+"\n",index=uiParameters.paramsMap.group?output.indexOf(marker):-1;return-1===index?output:output.substring(index+46)};const cellCode=cell=>{const params=cell.uiParameters.paramsMap;let code=cell.getCode();const mapFunc=params["code-mapper"];return mapFunc in globalThis&&(code=globalThis[mapFunc](code)),params.prefix+code+params.suffix}}));
+
+//# sourceMappingURL=cell_groups.min.js.map
\ No newline at end of file
@@ -0,0 +1,3 @@
+define("filter_ace_inline/local/code_changes",["exports","filter_ace_inline/local/utils","filter_ace_inline/local/output_check"],(function(_exports,_utils,_output_check){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.addChangesView=void 0;_exports.addChangesView=async(editor,getOriginal,buttonDiv)=>{const showLabel=await(0,_utils.getLangString)("changes_show"),hideLabel=await(0,_utils.getLangString)("changes_hide"),button=(0,_utils.createComponent)("button",["btn","btn-secondary","btn-ace-inline-changes"],{type:"button","aria-expanded":"false"});button.innerHTML=showLabel;const panel=(0,_utils.createComponent)("div",["filter-ace-inline-changes"],{hidden:"1"});buttonDiv.append(button),buttonDiv.after(panel);const session=editor.getSession(),refresh=()=>displayChanges(panel,editor,getOriginal());button.addEventListener("click",(()=>{const isShown=panel.hidden;panel.hidden=!isShown,button.innerHTML=isShown?hideLabel:showLabel,button.setAttribute("aria-expanded",isShown?"true":"false"),isShown?(refresh(),session.on("change",refresh)):session.off("change",refresh)})),panel.addEventListener("click",(event=>{const revertButton=event.target.closest("button");null!==revertButton&&(revertHunk(session,JSON.parse(revertButton.dataset.hunk)),editor.focus())}))};const displayChanges=async(panel,editor,original)=>{const hunks=((original,current)=>{const toLines=code=>code.split("\n").map((line=>({line:line,key:line}))),hunks=[];let hunk=null,row=0;for(const line of(0,_output_check.diffLines)(toLines(original),toLines(current)))"same"!==line.type?(null===hunk&&(hunk={start:row,removed:[],added:[]},hunks.push(hunk)),"expected"===line.type?hunk.removed.push(line.line):(hunk.added.push(line.line),row+=1)):(hunk=null,row+=1);return hunks})(original,editor.getSession().getValue()),firstLineNumber=editor.getOption("firstLineNumber"),offset="number"==typeof firstLineNumber?firstLineNumber:1,elements=[];if(0===hunks.length){const message=(0,_utils.createComponent)("p",[],{});message.innerHTML=await(0,_utils.getLangString)("changes_none"),elements.push(message)}for(const hunk of hunks){const header=(0,_utils.createComponent)("div",["filter-ace-inline-changes-header"],{}),first=hunk.start+offset,last=first+hunk.added.length-1;let where="";where=0===hunk.added.length&&0===hunk.start?await(0,_utils.getLangString)("changes_deleted_before",first):0===hunk.added.length?await(0,_utils.getLangString)("changes_deleted",first-1):first===last?await(0,_utils.getLangString)("changes_line",first):await(0,_utils.getLangString)("changes_lines",{first:first,last:last});const revertButton=(0,_utils.createComponent)("button",["btn","btn-link","btn-sm"],{type:"button","data-hunk":JSON.stringify(hunk)});revertButton.innerHTML=await(0,_utils.getLangString)("changes_revert"),header.innerHTML=(0,_utils.escapeHtml)(where),header.append(revertButton);const diff=(0,_utils.createComponent)("pre",["filter-ace-inline-diff"],{});for(const[type,lines,marker]of[["removed",hunk.removed,"-"],["added",hunk.added,"+"]])for(const line of lines){const span=(0,_utils.createComponent)("span",["filter-ace-inline-diff-"+type],{});span.innerHTML=marker+" "+(0,_utils.escapeHtml)(line),diff.append(span)}elements.push(header,diff)}panel.replaceChildren(...elements)},revertHunk=(session,hunk)=>{const Range=globalThis.ace.require("ace/range").Range,doc=session.getDocument(),end=hunk.start+hunk.added.length;if(end<doc.getLength()){const text=hunk.removed.map((line=>line+"\n")).join("");doc.replace(new Range(hunk.start,0,end,0),text)}else if(hunk.start>0){const lastRow=doc.getLength()-1,text=hunk.removed.map((line=>"\n"+line)).join("");doc.replace(new Range(hunk.start-1,doc.getLine(hunk.start-1).length,lastRow,doc.getLine(lastRow).length),text)}else{const lastRow=doc.getLength()-1;doc.replace(new Range(0,0,lastRow,doc.getLine(lastRow).length),hunk.removed.join("\n"))}session.getSelection().moveCursorTo(hunk.start,0)}}));
+
+//# sourceMappingURL=code_changes.min.js.map
\ No newline at end of file
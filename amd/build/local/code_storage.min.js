@@ -0,0 +1,3 @@
+define("filter_ace_inline/local/code_storage",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setUpStorage=_exports.saveCode=_exports.loadCode=_exports.getStorageKey=void 0;let userId=0;_exports.setUpStorage=currentUserId=>{userId=currentUserId,removeCode((key=>!key.startsWith(userPrefix()))),document.addEventListener("click",(event=>{null!==event.target.closest('a[href*="/login/logout.php"]')&&removeCode((()=>!0))}),!0)};_exports.getStorageKey=(pre,uiParameters)=>{let blockId=uiParameters.paramsMap.id;if(!blockId){const blocks=Array.from(document.querySelectorAll("pre.ace-interactive-code, pre[data-ace-interactive-code], code.ace-interactive-code, code[data-ace-interactive-code], div.ace-interactive-project, div[data-ace-interactive-project]")).map((element=>"CODE"===element.tagName?element.parentNode:element)).filter((element=>element.textContent===pre.textContent));blockId="code"+hashCode(pre.textContent)+"-"+blocks.indexOf(pre)}const page=globalThis.location.pathname+globalThis.location.search;return[userPrefix(),M.cfg.contextid,page,blockId].join("/")};_exports.loadCode=(key,original)=>{try{const saved=JSON.parse(globalThis.localStorage.getItem(key));if(null!==saved&&saved.original===original)return saved.code}catch(error){}return null};_exports.saveCode=(key,original,code)=>{try{code===original?globalThis.localStorage.removeItem(key):globalThis.localStorage.setItem(key,JSON.stringify({original:original,code:code}))}catch(error){}};const userPrefix=()=>"filter_ace_inline/user"+userId+"/",removeCode=isToBeRemoved=>{try{const storage=globalThis.localStorage,keys=[];for(let i=0;i<storage.length;i++){const key=storage.key(i);key.startsWith("filter_ace_inline/")&&isToBeRemoved(key)&&keys.push(key)}keys.forEach((key=>storage.removeItem(key)))}catch(error){}},hashCode=text=>{let hash=2166136261;for(let i=0;i<text.length;i++)hash=Math.imul(hash^text.charCodeAt(i),16777619)>>>0;return hash.toString(16)}}));
+
+//# sourceMappingURL=code_storage.min.js.map
\ No newline at end of file
@@ -1,3 +1,11 @@
-define("filter_ace_inline/local/display_ui",["exports","filter_ace_inline/local/utils","filter_ace_inline/local/ace_interactive"],(function(_exports,_utils,_ace_interactive){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.addUi=void 0;_exports.addUi=async(insertionPoint,getCode,uiParameters)=>{const button=(0,_utils.createComponent)("button",["btn","btn-secondary","btn-ace-inline-execution"],{type:"button"});button.innerHTML=uiParameters.paramsMap["button-name"];const buttonAndOutputDiv=(0,_utils.createComponent)("div",["filter-ace-inline-ui-area"],{}),buttonDiv=document.createElement("div"),outputDisplayArea=(0,_utils.createComponent)("div",["filter-ace-inline-output-display"],{}),outputTextArea=(0,_utils.createComponent)("pre",["filter-ace-inline-output-text"],{});buttonDiv.append(button),buttonAndOutputDiv.append(buttonDiv),outputDisplayArea.append(outputTextArea),buttonAndOutputDiv.append(outputDisplayArea),outputDisplayArea.style.display="none",insertionPoint.after(buttonAndOutputDiv),button.addEventListener("click",(async function(){const code=await(0,_ace_interactive.handleButtonClick)(outputDisplayArea,getCode(),uiParameters);null!==code&&(0,_ace_interactive.executeCode)(outputDisplayArea,code,uiParameters)}))}}));
+define("filter_ace_inline/local/display_ui",["exports","filter_ace_inline/local/utils","filter_ace_inline/local/ace_interactive","filter_ace_inline/local/cell_groups","filter_ace_inline/local/toolbar"],(function(_exports,_utils,_ace_interactive,_cell_groups,_toolbar){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.addUi=void 0;
+/**
+   * JavaScript for putting the UI up.
+   *
+   * @module     filter_ace_inline/local/display_ui
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+let idCount=0;_exports.addUi=async(insertionPoint,getCode,uiParameters,resetCode=null,setCode=null)=>{(0,_cell_groups.registerCell)(getCode,uiParameters);const button=(0,_utils.createComponent)("button",["btn","btn-secondary","btn-ace-inline-execution"],{type:"button"});button.innerHTML=uiParameters.paramsMap["button-name"];const buttonAndOutputDiv=(0,_utils.createComponent)("div",["filter-ace-inline-ui-area"],{}),buttonDiv=document.createElement("div");idCount+=1;const outputId="filter-ace-inline-output-"+idCount,outputDisplayArea=(0,_utils.createComponent)("div",["filter-ace-inline-output-display"],{id:outputId,role:"region","aria-live":"polite","aria-label":await(0,_utils.getLangString)("output_label")}),outputTextArea=(0,_utils.createComponent)("pre",["filter-ace-inline-output-text"],{});if(button.setAttribute("aria-controls",outputId),buttonDiv.append(button),null!==resetCode){const resetButton=(0,_utils.createComponent)("button",["btn","btn-secondary","btn-ace-inline-reset"],{type:"button"});resetButton.innerHTML=await(0,_utils.getLangString)("reset_button_label"),resetButton.addEventListener("click",resetCode),buttonDiv.append(resetButton)}null!==uiParameters.paramsMap["stdin-box"]&&buttonAndOutputDiv.append(await createStdinBox(uiParameters)),null!==uiParameters.paramsMap.toolbar&&buttonDiv.append(await(0,_toolbar.createOutputButtons)((()=>outputDisplayArea.innerText)));const runningIndicator=await createRunningIndicator(),cancelButton=runningIndicator.querySelector("button"),runStatus=(0,_utils.createComponent)("span",["sr-only"],{role:"status"});buttonDiv.append(runningIndicator,runStatus),buttonAndOutputDiv.append(buttonDiv);const history=[],historySize=uiParameters.paramsMap["history-size"],historyDiv=historySize>0?await createHistorySelect():null;null!==historyDiv&&buttonAndOutputDiv.append(historyDiv),outputDisplayArea.append(outputTextArea),buttonAndOutputDiv.append(outputDisplayArea),outputDisplayArea.style.display="none",insertionPoint.after(buttonAndOutputDiv);const setRunning=isRunning=>{button.disabled=isRunning,runningIndicator.hidden=!isRunning,outputDisplayArea.setAttribute("aria-busy",isRunning?"true":"false"),isRunning&&(runStatus.innerHTML=""),null!==historyDiv&&(historyDiv.querySelector("select").disabled=isRunning)},runCode=async()=>{if(button.disabled)return;const runId=uiParameters.startRun();let outcome="run_failed";setRunning(!0);try{const editorCode=getCode(),code=await(0,_ace_interactive.handleButtonClick)(outputDisplayArea,editorCode,uiParameters);if(!uiParameters.isCurrentRun(runId))return;if(!1===code)outcome="run_cancelled";else if(null!==code&&null!==uiParameters.tests)await(0,_ace_interactive.executeTests)(outputDisplayArea,code,uiParameters,runId),outcome="run_complete";else if(null!==code){const responseJson=await(0,_ace_interactive.executeCode)(outputDisplayArea,code,uiParameters,runId);null!==responseJson&&(0,_ace_interactive.isSuccessfulRun)(responseJson)&&(outcome="run_complete"),null!==responseJson&&null!==historyDiv&&(history.unshift({code:editorCode,lang:uiParameters.paramsMap.lang,stdin:uiParameters.stdin,responseJson:responseJson,time:new Date,succeeded:(0,_ace_interactive.isSuccessfulRun)(responseJson)}),history.splice(historySize),updateHistorySelect(historyDiv,history))}}finally{uiParameters.isCurrentRun(runId)&&(setRunning(!1),runStatus.innerHTML=await(0,_utils.getLangString)(outcome))}};if(button.addEventListener("click",runCode),cancelButton.addEventListener("click",(async()=>{(0,_ace_interactive.cancelRun)(outputDisplayArea,uiParameters),setRunning(!1),runStatus.innerHTML=await(0,_utils.getLangString)("run_cancelled")})),null!==historyDiv){const historySelect=historyDiv.querySelector("select");historySelect.addEventListener("change",(()=>{const run=history[historySelect.value];historySelect.value="",void 0!==run&&(null!==setCode&&setCode(run.code,run.lang),null!==uiParameters.stdinBox&&(uiParameters.stdinBox.value=run.stdin),(0,_ace_interactive.redisplayOutput)(outputDisplayArea,run.responseJson,uiParameters))}))}let lastResult=null;return uiParameters.pre.addEventListener(_ace_interactive.RUN_COMPLETE_EVENT,(event=>{lastResult=event.detail})),uiParameters.pre.aceInline={getCode:getCode,setCode:code=>{null!==setCode&&setCode(code)},run:runCode,clearOutput:()=>{(0,_ace_interactive.clearOutput)(outputDisplayArea,uiParameters),setRunning(!1)},getLastResult:()=>lastResult},uiParameters.pre.dispatchEvent(new CustomEvent("filter_ace_inline:ready",{bubbles:!0})),buttonDiv};const createRunningIndicator=async()=>{const indicator=(0,_utils.createComponent)("span",["filter-ace-inline-running"],{hidden:"1"}),spinner=(0,_utils.createComponent)("span",["spinner-border","spinner-border-sm"],{"aria-hidden":"true"}),message=(0,_utils.createComponent)("span",[],{});message.innerHTML=await(0,_utils.getLangString)("running");const cancelButton=(0,_utils.createComponent)("button",["btn","btn-link","btn-ace-inline-cancel"],{type:"button"});return cancelButton.innerHTML=await(0,_utils.getLangString)("cancel_button_label"),indicator.append(spinner,message,cancelButton),indicator},createHistorySelect=async()=>{idCount+=1;const id="filter-ace-inline-history-"+idCount,historyDiv=(0,_utils.createComponent)("div",["filter-ace-inline-history"],{hidden:"1"}),label=(0,_utils.createComponent)("label",[],{for:id});label.innerHTML=await(0,_utils.getLangString)("history_label");const select=(0,_utils.createComponent)("select",["custom-select","custom-select-sm"],{id:id}),placeholder=(0,_utils.createComponent)("option",[],{value:""});return placeholder.innerHTML=await(0,_utils.getLangString)("history_placeholder"),select.append(placeholder),historyDiv.append(label,select),historyDiv},updateHistorySelect=async(historyDiv,history)=>{const select=historyDiv.querySelector("select"),options=[select.options[0]];for(const[i,run]of history.entries()){const option=(0,_utils.createComponent)("option",[],{value:i});option.innerHTML=(0,_utils.escapeHtml)(await(0,_utils.getLangString)(run.succeeded?"history_run_ok":"history_run_failed",run.time.toLocaleTimeString())),options.push(option)}select.replaceChildren(...options),historyDiv.removeAttribute("hidden")},createStdinBox=async uiParameters=>{idCount+=1;const id="filter-ace-inline-stdin-"+idCount,stdinDiv=(0,_utils.createComponent)("div",["filter-ace-inline-stdin"],{}),label=(0,_utils.createComponent)("label",[],{for:id});label.innerHTML=await(0,_utils.getLangString)("stdin_box_label");const textarea=(0,_utils.createComponent)("textarea",["form-control","filter-ace-inline-stdin-box"],{id:id,rows:3,spellcheck:"false"});return textarea.value=uiParameters.paramsMap.stdin,stdinDiv.append(label,textarea),uiParameters.setStdinBox(textarea),stdinDiv}}));
 
 //# sourceMappingURL=display_ui.min.js.map
\ No newline at end of file
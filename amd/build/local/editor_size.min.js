@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/editor_size",["exports","filter_ace_inline/local/utils"],(function(_exports,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.leaveFullScreen=_exports.createExpandButton=_exports.addResizeHandle=void 0;
+/**
+   * JavaScript for changing the size of an Ace editor: a full-screen mode for
+   * an interactive block and a drag handle for resizing the editor height.
+   *
+   * @module     filter_ace_inline/local/editor_size
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const FULLSCREEN_CLASS="filter-ace-inline-fullscreen";_exports.leaveFullScreen=editor=>{const block=editor.container.closest("."+FULLSCREEN_CLASS);return null!==block&&(block.querySelector(".btn-ace-inline-expand").click(),!0)};_exports.createExpandButton=async(block,editor)=>{const expandLabel=await(0,_utils.getLangString)("expand_button_label"),collapseLabel=await(0,_utils.getLangString)("collapse_button_label"),button=(0,_utils.createComponent)("button",["btn","btn-secondary","btn-ace-inline-expand"],{type:"button","aria-pressed":"false"});button.innerHTML=expandLabel;let savedLayout=null;const setFullScreen=isFullScreen=>{block.classList.toggle(FULLSCREEN_CLASS,isFullScreen),document.body.classList.toggle("filter-ace-inline-noscroll",isFullScreen),button.innerHTML=isFullScreen?collapseLabel:expandLabel,button.setAttribute("aria-pressed",isFullScreen?"true":"false"),isFullScreen?(savedLayout={maxLines:editor.getOption("maxLines"),height:editor.container.style.height},editor.setOption("maxLines",null),editor.container.style.height=""):(editor.container.style.height=savedLayout.height,editor.setOption("maxLines",savedLayout.maxLines)),editor.resize(!0),editor.focus()};return button.addEventListener("click",(()=>{setFullScreen(!block.classList.contains(FULLSCREEN_CLASS))})),block.addEventListener("keydown",(event=>{"Escape"===event.key&&block.classList.contains(FULLSCREEN_CLASS)&&(setFullScreen(!1),button.focus())})),button};_exports.addResizeHandle=async editor=>{const editNode=editor.container,handle=(0,_utils.createComponent)("div",["filter-ace-inline-resize-handle"],{role:"separator","aria-orientation":"horizontal",tabindex:"0"});handle.setAttribute("aria-label",await(0,_utils.getLangString)("resize_handle_label")),editNode.after(handle);const setHeight=height=>{const minHeight=2*editor.renderer.lineHeight;editor.setOption("maxLines",null),editNode.style.height=Math.max(height,minHeight)+"px",editor.resize(!0)};handle.addEventListener("pointerdown",(event=>{event.preventDefault();const startY=event.clientY,startHeight=editNode.offsetHeight,onMove=moveEvent=>setHeight(startHeight+moveEvent.clientY-startY),onUp=()=>{handle.removeEventListener("pointermove",onMove),handle.removeEventListener("pointerup",onUp),handle.releasePointerCapture(event.pointerId)};handle.setPointerCapture(event.pointerId),handle.addEventListener("pointermove",onMove),handle.addEventListener("pointerup",onUp)})),handle.addEventListener("keydown",(event=>{if("ArrowUp"===event.key||"ArrowDown"===event.key){event.preventDefault();const step="ArrowUp"===event.key?-editor.renderer.lineHeight:editor.renderer.lineHeight;setHeight(editNode.offsetHeight+step)}}))}}));
+
+//# sourceMappingURL=editor_size.min.js.map
\ No newline at end of file
@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/error_lines",["exports","filter_ace_inline/local/ace_interactive"],(function(_exports,_ace_interactive){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setUpErrorLines=void 0;
+/**
+   * JavaScript for finding the line numbers in compiler and runtime error
+   * messages and marking the corresponding lines in the Ace editor.
+   *
+   * @module     filter_ace_inline/local/error_lines
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const COMPILER_MESSAGE=/^([^\s:]+):(\d+):(?:(\d+):)?\s*(fatal error|error|warning):\s*(.*)$/,PYTHON_FRAME=/^\s*File "([^"]+)", line (\d+)/,STACK_FRAMES=[/^\s*at (?:.*? \()?([^\s()]+\.[cm]?js):(\d+):(\d+)\)?$/,/^\s*at \S+\(([^\s()]+\.java):(\d+)\)$/,/^(\S+\.[cm]?js):(\d+)$/],EXCEPTION_MESSAGE=/^(?:Exception in thread "[^"]*" )?[\w.$]*(?:Error|Exception|Interrupt)(?::.*)?$/,LIBRARY_FILE=/^<|^node:|\/usr\/|\/lib\/|node_modules/;_exports.setUpErrorLines=(editor,uiParameters,otherFiles=[])=>{const session=editor.getSession(),Range=globalThis.ace.require("ace/range").Range;let markerIds=[],codeAtRun=null;const clearMarks=()=>{session.clearAnnotations(),markerIds.forEach((id=>session.removeMarker(id))),markerIds=[]};session.on("change",(()=>{markerIds.length>0&&clearMarks()})),uiParameters.pre.addEventListener(_ace_interactive.BEFORE_RUN_EVENT,(()=>{clearMarks(),codeAtRun=session.getValue()})),uiParameters.pre.addEventListener(_ace_interactive.RUN_COMPLETE_EVENT,(event=>{const response=event.detail.response;if(null===response)return;const offset=null!==uiParameters.codeOffset?uiParameters.codeOffset:lineOffset(event.detail.code,codeAtRun,uiParameters.paramsMap.prefix),annotations=[];for(const error of findErrorLines(response.cmpinfo+"\n"+response.stderr,otherFiles)){const row=error.line-1-offset;if(row<0||row>=session.getLength()||annotations.some((annotation=>annotation.row===row)))continue;const column=null===error.column?0:Math.min(error.column,session.getLine(row).length);annotations.push({row:row,column:column,text:error.text,type:error.type});const range=new Range(row,column,row,session.getLine(row).length);markerIds.push(session.addMarker(range,"filter-ace-inline-"+error.type+"-line","text"))}session.setAnnotations(annotations)}))};const lineOffset=(runCode,editorCode,prefix)=>{const index=""===editorCode?-1:runCode.indexOf(editorCode);return(index>=0?runCode.substring(0,index):prefix).split("\n").length-1},findErrorLines=(text,otherFiles)=>{const isUserFile=file=>!LIBRARY_FILE.test(file)&&!otherFiles.includes(file.split("/").pop()),errors=[],frames=[];let isPython=!1,exception="";for(const line of text.split("\n")){const message=line.match(COMPILER_MESSAGE);if(null!==message){isUserFile(message[1])&&errors.push({line:parseInt(message[2]),column:message[3]?parseInt(message[3])-1:null,text:message[4]+": "+message[5],type:"warning"===message[4]?"warning":"error"});continue}let frame=line.match(PYTHON_FRAME);isPython=isPython||null!==frame;for(const pattern of STACK_FRAMES)frame=frame||line.match(pattern);null!==frame&&isUserFile(frame[1])?frames.push({line:parseInt(frame[2]),column:frame[3]?parseInt(frame[3])-1:null}):EXCEPTION_MESSAGE.test(line.trim())&&(exception=line.trim())}if(frames.length>0){const frame=isPython?frames[frames.length-1]:frames[0];errors.push({line:frame.line,column:frame.column,text:exception,type:"error"})}return errors}}));
+
+//# sourceMappingURL=error_lines.min.js.map
\ No newline at end of file
@@ -6,6 +6,6 @@ define("filter_ace_inline/local/file_helpers",["exports","filter_ace_inline/loca
    * @copyright  Richard Lobb, Michelle Hsieh 2022
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
    */
-let uploadFiles={};_exports.getFiles=async uiParameters=>{const uploadId=uiParameters.paramsMap["file-upload-id"];let taids=uiParameters.paramsMap["file-taids"],sandboxArgs=[],map={};if(0!==Object.keys(taids).length){try{taids=JSON.parse(taids)}catch(SyntaxError){return Promise.resolve("error")}for(const filename in taids)if(taids.hasOwnProperty(filename)){const id=taids[filename],file=document.querySelector("#"+id);if(null===file)return Promise.resolve("bad_id");map[filename]=file.value}}for(const name in uploadFiles)uploadFiles.hasOwnProperty(name)&&uploadFiles[name].hasOwnProperty(uploadId)&&(map[name]=uploadFiles[name][uploadId],sandboxArgs.push(name));return uiParameters.setSandboxParams(sandboxArgs),Promise.resolve(JSON.stringify(map))};_exports.setupFileHandler=async uploadElementId=>{const errorNode=document.createElement("div",[],{hidden:"1"}),errorHtml=(0,_utils.createComponent)("div",["filter-ace-inline-files"],{hidden:"1"}),fatalHtml=(0,_utils.createComponent)("div",["filter-ace-inline-file-error"],{hidden:"1"});errorNode.appendChild(fatalHtml),errorNode.appendChild(errorHtml);const element=document.querySelector("#"+uploadElementId);element.parentNode.insertBefore(errorNode,element.nextSibling),element.setAttribute("multiple","1"),element.addEventListener("change",(async()=>{errorHtml.innerHTML="",fatalHtml.innerHTML="",uploadFiles={};const files=element.files;for(const file of files){let fileValues={};const parsedName=parseFileName(file.name);await readOneFile(file).then((result=>(parsedName!==file.name&&(errorHtml.innerHTML="<li><em>"+file.name+"</em><strong>&nbsp;&rArr;&nbsp;"+parsedName+"</strong></li>"+errorHtml.innerHTML),fileValues[uploadElementId]=result,null))).catch((()=>{fatalHtml.innerHTML="<li><strong><em>"+file.name+"</em>&nbsp;</strong></li>"+fatalHtml.innerHTML})),0!==fileValues.size&&(uploadFiles[parsedName]=fileValues)}displayAllFileErrors(errorNode,errorHtml,fatalHtml)}))};const readOneFile=async file=>file.size>2097152?Promise.reject("excessive size"):new Promise(((resolve,reject)=>{let rdr=new FileReader;rdr.onload=()=>{resolve(rdr.result)},rdr.onerror=reject,rdr.readAsText(file)})),displayFileError=async(error,errorHtml)=>{errorHtml.innerHTML="<strong>"+await(0,_utils.getLangString)(error)+"</strong><ul>"+errorHtml.innerHTML+"</ul>",errorHtml.removeAttribute("hidden")},displayAllFileErrors=(errorNode,errorHtml,fatalHtml)=>{errorHtml.setAttribute("hidden","1"),fatalHtml.setAttribute("hidden","1"),""!==errorHtml.innerHTML||""!==fatalHtml.innerHTML?(""!==errorHtml.innerHTML&&displayFileError("file_changed_name",errorHtml),""!==fatalHtml.innerHTML&&displayFileError("file_not_uploaded",fatalHtml),errorNode.removeAttribute("hidden")):errorNode.setAttribute("hidden","1")},parseFileName=filename=>filename.replace(/\s/g,"_").replace(/[^A-Za-z0-9._-]/g,"")}));
+let uploadFiles={};_exports.getFiles=async uiParameters=>{const uploadId=uiParameters.paramsMap["file-upload-id"];let taids=uiParameters.paramsMap["file-taids"],sandboxArgs=[],map={};if(0!==Object.keys(taids).length){try{taids=JSON.parse(taids)}catch(SyntaxError){return Promise.resolve("error")}for(const filename in taids)if(taids.hasOwnProperty(filename)){const id=taids[filename],file=document.querySelector("#"+id);if(null===file)return Promise.resolve("bad_id");map[filename]=file.value}}for(const name in uiParameters.projectFiles)uiParameters.projectFiles.hasOwnProperty(name)&&(map[name]=uiParameters.projectFiles[name]());for(const name in uploadFiles)uploadFiles.hasOwnProperty(name)&&uploadFiles[name].hasOwnProperty(uploadId)&&(map[name]=uploadFiles[name][uploadId],sandboxArgs.push(name));return uiParameters.setSandboxParams(sandboxArgs),Promise.resolve(JSON.stringify(map))};_exports.setupFileHandler=async(uploadElementId,maxFileSize)=>{const element=document.querySelector("#"+uploadElementId);if(null===element||element.hasAttribute("data-ace-inline-uploader"))return;element.setAttribute("data-ace-inline-uploader","1"),element.setAttribute("multiple","1");const errorNode=(0,_utils.createComponent)("div",[],{hidden:"1"}),errorHtml=(0,_utils.createComponent)("div",["filter-ace-inline-files"],{hidden:"1"}),fatalHtml=(0,_utils.createComponent)("div",["filter-ace-inline-file-error"],{hidden:"1"});errorNode.appendChild(fatalHtml),errorNode.appendChild(errorHtml);const dropZone=(0,_utils.createComponent)("div",["filter-ace-inline-dropzone"],{});dropZone.innerHTML=await(0,_utils.getLangString)("file_drop_zone");const fileList=(0,_utils.createComponent)("ul",["filter-ace-inline-file-list"],{hidden:"1"}),replaceInput=(0,_utils.createComponent)("input",[],{type:"file",hidden:"1"});element.after(dropZone,fileList,replaceInput,errorNode);const attachedFiles={},addFiles=async(files,nameToReplace=null)=>{errorHtml.innerHTML="",fatalHtml.innerHTML="";let isReplaced=null===nameToReplace;for(const file of files){const parsedName=parseFileName(file.name);let result=null;try{result=await readOneFile(file,maxFileSize)}catch(error){fatalHtml.innerHTML="<li><strong><em>"+(0,_utils.escapeHtml)(file.name)+"</em>&nbsp;</strong></li>"+fatalHtml.innerHTML;continue}isReplaced||(removeFile(nameToReplace),isReplaced=!0),parsedName!==file.name&&(errorHtml.innerHTML="<li><em>"+(0,_utils.escapeHtml)(file.name)+"</em><strong>&nbsp;&rArr;&nbsp;"+parsedName+"</strong></li>"+errorHtml.innerHTML),uploadFiles.hasOwnProperty(parsedName)||(uploadFiles[parsedName]={}),uploadFiles[parsedName][uploadElementId]=result.contents,attachedFiles[parsedName]={size:file.size,isBinary:result.isBinary}}displayAllFileErrors(errorNode,errorHtml,fatalHtml,maxFileSize),await displayFileList(fileList,attachedFiles)},removeFile=name=>{delete attachedFiles[name],uploadFiles.hasOwnProperty(name)&&(delete uploadFiles[name][uploadElementId],0===Object.keys(uploadFiles[name]).length&&delete uploadFiles[name])};element.addEventListener("change",(async()=>{await addFiles(element.files),element.value=""})),dropZone.addEventListener("dragover",(event=>{event.preventDefault(),dropZone.classList.add("filter-ace-inline-dropzone-active")})),dropZone.addEventListener("dragleave",(()=>{dropZone.classList.remove("filter-ace-inline-dropzone-active")})),dropZone.addEventListener("drop",(event=>{event.preventDefault(),dropZone.classList.remove("filter-ace-inline-dropzone-active"),addFiles(event.dataTransfer.files)}));let fileToReplace=null;fileList.addEventListener("click",(event=>{const button=event.target.closest("button");if(null===button)return;const name=button.closest("li").dataset.filename;"remove"===button.dataset.action?(removeFile(name),displayFileList(fileList,attachedFiles)):(fileToReplace=name,replaceInput.click())})),replaceInput.addEventListener("change",(async()=>{replaceInput.files.length>0&&await addFiles(replaceInput.files,fileToReplace),replaceInput.value=""}))};const displayFileList=async(fileList,attachedFiles)=>{const items=[];for(const name of Object.keys(attachedFiles).sort()){const item=(0,_utils.createComponent)("li",[],{"data-filename":name}),description=(0,_utils.createComponent)("span",[],{});description.innerHTML=(0,_utils.escapeHtml)(name)+" ("+formatSize(attachedFiles[name].size)+(attachedFiles[name].isBinary?", "+await(0,_utils.getLangString)("file_binary"):"")+")",item.append(description);for(const action of["replace","remove"]){const button=(0,_utils.createComponent)("button",["btn","btn-link","btn-sm"],{type:"button","data-action":action});button.innerHTML=await(0,_utils.getLangString)("file_"+action),button.setAttribute("aria-label",await(0,_utils.getLangString)("file_"+action+"_label",name)),item.append(button)}items.push(item)}fileList.replaceChildren(...items),fileList.hidden=0===items.length},readOneFile=async(file,maxFileSize)=>{if(file.size>maxFileSize)throw new Error("excessive size");const buffer=await new Promise(((resolve,reject)=>{let rdr=new FileReader;rdr.onload=()=>{resolve(rdr.result)},rdr.onerror=reject,rdr.readAsArrayBuffer(file)}));try{return{contents:new TextDecoder("utf-8",{fatal:!0}).decode(buffer),isBinary:!1}}catch(error){return{contents:base64Encode(new Uint8Array(buffer)),isBinary:!0}}},base64Encode=bytes=>{let binary="";for(let i=0;i<bytes.length;i+=32768)binary+=String.fromCharCode(...bytes.subarray(i,i+32768));return btoa(binary)},formatSize=bytes=>bytes<1024?bytes+" bytes":bytes<1048576?Math.round(bytes/1024)+"KB":Math.round(10*bytes/1048576)/10+"MB",displayFileError=async(error,errorHtml,a=void 0)=>{errorHtml.innerHTML="<strong>"+await(0,_utils.getLangString)(error,a)+"</strong><ul>"+errorHtml.innerHTML+"</ul>",errorHtml.removeAttribute("hidden")},displayAllFileErrors=(errorNode,errorHtml,fatalHtml,maxFileSize)=>{errorHtml.setAttribute("hidden","1"),fatalHtml.setAttribute("hidden","1"),""!==errorHtml.innerHTML||""!==fatalHtml.innerHTML?(""!==errorHtml.innerHTML&&displayFileError("file_changed_name",errorHtml),""!==fatalHtml.innerHTML&&displayFileError("file_not_uploaded",fatalHtml,formatSize(maxFileSize)),errorNode.removeAttribute("hidden")):errorNode.setAttribute("hidden","1")},parseFileName=filename=>filename.replace(/\s/g,"_").replace(/[^A-Za-z0-9._-]/g,"")}));
 
 //# sourceMappingURL=file_helpers.min.js.map
\ No newline at end of file
@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/language_selector",["exports","filter_ace_inline/local/code_storage","filter_ace_inline/local/utils"],(function(_exports,_code_storage,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.createLanguageSelector=void 0;
+/**
+   * JavaScript for the selector with which the user chooses the language of
+   * an interactive element that has a langs attribute.
+   *
+   * @module     filter_ace_inline/local/language_selector
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+let selectorCount=0;_exports.createLanguageSelector=async(editor,uiParameters,storageKey)=>{const params=uiParameters.paramsMap,initialLang=params.lang,langKey=null===storageKey?null:storageKey+"/lang";let codes={};selectorCount+=1;const selectId="filter-ace-inline-langs-"+selectorCount,span=(0,_utils.createComponent)("span",["filter-ace-inline-langs"],{}),label=(0,_utils.createComponent)("label",[],{for:selectId});label.innerHTML=await(0,_utils.getLangString)("language_label");const select=(0,_utils.createComponent)("select",["custom-select"],{id:selectId});for(const lang of uiParameters.langs){const option=(0,_utils.createComponent)("option",[],{value:lang});option.innerHTML=(0,_utils.escapeHtml)(lang),select.append(option)}span.append(label,select);const setLang=lang=>{params.lang=lang,select.value=lang;const aceLang=lang===initialLang&&params["ace-lang"]?params["ace-lang"]:lang;editor.getSession().setMode("ace/mode/"+(0,_utils.aceModeName)(aceLang)),null!==langKey&&(0,_code_storage.saveCode)(langKey,initialLang,lang)};select.addEventListener("change",(()=>{const newLang=select.value,session=editor.getSession();codes[params.lang]=session.getValue();const code=newLang in codes?codes[newLang]:uiParameters.starterCode[newLang];setLang(newLang),void 0!==code&&session.setValue(code)}));const savedLang=null===langKey?null:(0,_code_storage.loadCode)(langKey,initialLang);return setLang(uiParameters.langs.includes(savedLang)?savedLang:initialLang),{element:span,reset:()=>{codes={},setLang(initialLang)},setLang:lang=>{lang!==params.lang&&uiParameters.langs.includes(lang)&&(codes[params.lang]=editor.getSession().getValue(),setLang(lang))}}}}));
+
+//# sourceMappingURL=language_selector.min.js.map
\ No newline at end of file
@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/line_highlights",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.parseLineRanges=_exports.highlightLines=void 0;
+/**
+   * JavaScript for highlighting the lines of code given by the author in the
+   * highlight-lines attribute.
+   *
+   * @module     filter_ace_inline/local/line_highlights
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const RANGE_PATTERN=/^(\d+)(?:\s*-\s*(\d+))?(?:\s*:\s*([A-Za-z][\w-]*))?$/;_exports.highlightLines=(editor,lines,firstLineNumber)=>{const session=editor.getSession(),doc=session.getDocument(),Range=globalThis.ace.require("ace/range").Range,offset=null===firstLineNumber||isNaN(firstLineNumber)?1:firstLineNumber,highlights=parseLineRanges(lines).map((range=>({first:range.first-offset,last:range.last-offset,classes:"filter-ace-inline-line filter-ace-inline-line-"+range.style,anchors:null})));if(0===highlights.length)return;let markerIds=[],isRefreshPending=!1;const refreshMarkers=()=>{isRefreshPending=!1,markerIds.forEach((id=>session.removeMarker(id))),markerIds=[];for(const highlight of highlights.filter((range=>null!==range.anchors))){const[start,end]=highlight.anchors.map((anchor=>anchor.getPosition())),last=0===end.column&&end.row>start.row?end.row-1:end.row;(end.row>start.row||end.column>start.column)&&markerIds.push(session.addMarker(new Range(start.row,0,last,1),highlight.classes,"fullLine"))}},placeAnchors=()=>{for(const highlight of highlights){null!==highlight.anchors&&highlight.anchors.forEach((anchor=>anchor.detach()));const first=Math.max(highlight.first,0),last=Math.min(highlight.last,doc.getLength()-1);if(highlight.anchors=null,first<=last){const end=last+1<doc.getLength()?doc.createAnchor(last+1,0):doc.createAnchor(last,doc.getLine(last).length);end.$insertRight=!0,highlight.anchors=[doc.createAnchor(first,0),end]}}refreshMarkers()},setValue=doc.setValue;doc.setValue=text=>{setValue.call(doc,text),placeAnchors()},session.on("change",(()=>{isRefreshPending||(isRefreshPending=!0,setTimeout(refreshMarkers,0))})),placeAnchors()};const parseLineRanges=lineRanges=>{const ranges=[];for(const part of lineRanges.split(",")){const match=part.trim().match(RANGE_PATTERN);if(null!==match){const first=parseInt(match[1]),last=void 0===match[2]?first:parseInt(match[2]);ranges.push({first:first,last:last,style:void 0===match[3]?"emphasis":match[3]})}}return ranges};_exports.parseLineRanges=parseLineRanges}));
+
+//# sourceMappingURL=line_highlights.min.js.map
\ No newline at end of file
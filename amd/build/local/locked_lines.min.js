@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/locked_lines",["exports","filter_ace_inline/local/line_highlights"],(function(_exports,_line_highlights){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setUpLockedLines=_exports.lockedRows=_exports.extractLockMarkers=void 0;
+/**
+   * JavaScript for locking lines of code in an editable Ace editor, so that
+   * the user can see but not change them.
+   *
+   * @module     filter_ace_inline/local/locked_lines
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const LOCK_MARKER=/^\s*(?:#|\/\/|--|%|;|\/\*|<!--|\(\*)\s*locked-(start|end)\s*(?:\*\/|-->|\*\))?\s*$/i;_exports.extractLockMarkers=code=>{const lines=[],rows=[];let isLocked=!1;for(const line of code.split("\n")){const marker=line.match(LOCK_MARKER);null!==marker?isLocked="start"===marker[1].toLowerCase():(isLocked&&rows.push(lines.length),lines.push(line))}return{code:lines.join("\n"),rows:rows}};_exports.lockedRows=(lockedLines,firstLineNumber,numRows)=>{const offset=null===firstLineNumber||isNaN(firstLineNumber)?1:firstLineNumber,rows=[];for(const range of(0,_line_highlights.parseLineRanges)(lockedLines)){const last=Math.min(range.last-offset,numRows-1);for(let row=Math.max(range.first-offset,0);row<=last;row++)rows.push(row)}return rows};_exports.setUpLockedLines=(editor,rows)=>{const session=editor.getSession(),doc=session.getDocument(),Range=globalThis.ace.require("ace/range").Range,regions=groupRows(rows,doc.getLength()).map((([first,last])=>({lines:doc.getLines(first,last),anchor:null})));if(0===regions.length)return;let isGuarded=!0,markerIds=[],isRefreshPending=!1;const refreshMarkers=()=>{isRefreshPending=!1,markerIds.forEach((id=>session.removeMarker(id))),markerIds=regions.filter((region=>null!==region.anchor)).map((region=>{const row=region.anchor.row;return session.addMarker(new Range(row,0,row+region.lines.length-1,1),"filter-ace-inline-locked-line","fullLine")}))},relocateRegions=()=>{let row=0;for(const region of regions){null!==region.anchor&&region.anchor.detach();const found=findLines(doc,region.lines,row);region.anchor=-1===found?null:doc.createAnchor(found,0),row=-1===found?row:found+region.lines.length}refreshMarkers()},applyDelta=doc.applyDelta;doc.applyDelta=(delta,doNotValidate)=>{isGuarded&&regions.some((region=>changesRegion(doc,region,delta)))||applyDelta.call(doc,delta,doNotValidate)};const setValue=doc.setValue;doc.setValue=text=>{isGuarded=!1;try{setValue.call(doc,text)}finally{isGuarded=!0}relocateRegions()},session.on("change",(()=>{isRefreshPending||(isRefreshPending=!0,setTimeout(refreshMarkers,0))})),relocateRegions()};const groupRows=(rows,numRows)=>{const sorted=[...new Set(rows)].filter((row=>row>=0&&row<numRows)).sort(((a,b)=>a-b)),groups=[];for(const row of sorted)groups.length>0&&groups[groups.length-1][1]===row-1?groups[groups.length-1][1]=row:groups.push([row,row]);return groups},findLines=(doc,lines,fromRow)=>{for(let row=fromRow;row+lines.length<=doc.getLength();row++)if(lines.every(((line,i)=>doc.getLine(row+i)===line)))return row;return-1},changesRegion=(doc,region,delta)=>{if(null===region.anchor)return!1;const compare=(p,q)=>p.row===q.row?p.column-q.column:p.row-q.row,lastRow=region.anchor.row+region.lines.length-1,start={row:region.anchor.row,column:0},end={row:lastRow,column:doc.getLine(lastRow).length};if("insert"===delta.action){const position=delta.start,text=delta.lines.join("\n");return!(compare(position,start)<0||compare(position,end)>0||0===compare(position,start)&&text.endsWith("\n")||0===compare(position,end)&&0!==compare(position,start)&&text.startsWith("\n"))}return!(compare(delta.end,start)<0||compare(delta.start,end)>0||0===compare(delta.end,start)&&0===delta.start.column||0===compare(delta.start,end)&&delta.end.row>end.row&&delta.end.column===doc.getLine(delta.end.row).length)}}));
+
+//# sourceMappingURL=locked_lines.min.js.map
\ No newline at end of file
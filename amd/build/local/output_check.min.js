@@ -0,0 +1,11 @@
+define("filter_ace_inline/local/output_check",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.diffLines=_exports.checkOutput=void 0;
+/**
+   * JavaScript for comparing the output of a run with the expected output.
+   *
+   * @module     filter_ace_inline/local/output_check
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const normalisedLines=(text,ignoreWhitespace,ignoreCase)=>{let lines=text.replace(/\r\n/g,"\n").split("\n").map((line=>{let key=line.trimEnd();return ignoreWhitespace&&(key=key.trim().replace(/\s+/g," ")),ignoreCase&&(key=key.toLowerCase()),{line:line,key:key}}));for(ignoreWhitespace&&(lines=lines.filter((line=>""!==line.key)));lines.length>0&&""===lines[lines.length-1].key;)lines.pop();return lines},diffLines=(expected,got)=>{let start=0;for(;start<expected.length&&start<got.length&&expected[start].key===got[start].key;)start++;let end=0;for(;end<expected.length-start&&end<got.length-start&&expected[expected.length-1-end].key===got[got.length-1-end].key;)end++;const same=lines=>lines.map((line=>({type:"same",line:line.line}))),middleExpected=expected.slice(start,expected.length-end),middleGot=got.slice(start,got.length-end),middle=(middleExpected.length+1)*(middleGot.length+1)>1e6?middleExpected.map((line=>({type:"expected",line:line.line}))).concat(middleGot.map((line=>({type:"got",line:line.line})))):lcsDiff(middleExpected,middleGot);return same(got.slice(0,start)).concat(middle,same(got.slice(got.length-end)))};_exports.diffLines=diffLines;const lcsDiff=(expected,got)=>{const n=expected.length,m=got.length,lcs=Array.from({length:n+1},(()=>new Array(m+1).fill(0)));for(let i=n-1;i>=0;i--)for(let j=m-1;j>=0;j--)lcs[i][j]=expected[i].key===got[j].key?lcs[i+1][j+1]+1:Math.max(lcs[i+1][j],lcs[i][j+1]);const diff=[];let i=0,j=0;for(;i<n||j<m;)i<n&&j<m&&expected[i].key===got[j].key?(diff.push({type:"same",line:got[j].line}),i++,j++):i<n&&(j===m||lcs[i+1][j]>=lcs[i][j+1])?(diff.push({type:"expected",line:expected[i].line}),i++):(diff.push({type:"got",line:got[j].line}),j++);return diff};_exports.checkOutput=(expected,got,ignoreWhitespace,ignoreCase)=>{const diff=diffLines(normalisedLines(expected,ignoreWhitespace,ignoreCase),normalisedLines(got,ignoreWhitespace,ignoreCase));return{passed:diff.every((line=>"same"===line.type)),diff:diff}}}));
+
+//# sourceMappingURL=output_check.min.js.map
\ No newline at end of file
@@ -0,0 +1,12 @@
+define("filter_ace_inline/local/project_tabs",["exports","filter_ace_inline/local/utils"],(function(_exports,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.fileMode=_exports.createTabs=void 0;
+/**
+   * JavaScript for the tabs of a multi-file project block, which has one tab
+   * and one Ace editor per file.
+   *
+   * @module     filter_ace_inline/local/project_tabs
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const EXTENSION_MODES={c:"c_cpp",h:"c_cpp",cc:"c_cpp",cpp:"c_cpp",hpp:"c_cpp",cs:"csharp",css:"css",csv:"text",go:"golang",hs:"haskell",html:"html",java:"java",js:"javascript",json:"json",kt:"kotlin",m:"matlab",md:"markdown",pas:"pascal",php:"php",pl:"perl",py:"python",r:"r",rb:"ruby",rs:"rust",sh:"sh",sql:"sql",ts:"typescript",txt:"text",xml:"xml"};let tabsCount=0;_exports.fileMode=(filename,defaultMode)=>{const dot=filename.lastIndexOf("."),extension=-1===dot?"":filename.substring(dot+1).toLowerCase();return extension in EXTENSION_MODES?"ace/mode/"+EXTENSION_MODES[extension]:defaultMode};_exports.createTabs=(filenames,selectedIndex,onSelect)=>{tabsCount+=1;const idPrefix="filter-ace-inline-tab-"+tabsCount+"-",tabList=(0,_utils.createComponent)("div",["filter-ace-inline-tabs"],{role:"tablist"}),tabs=[],panels=[];filenames.forEach(((filename,i)=>{const tab=(0,_utils.createComponent)("button",["filter-ace-inline-tab"],{type:"button",role:"tab",id:idPrefix+i,"aria-controls":idPrefix+i+"-panel"});tab.innerHTML=(0,_utils.escapeHtml)(filename);const panel=(0,_utils.createComponent)("div",["filter-ace-inline-tab-panel"],{role:"tabpanel",id:idPrefix+i+"-panel","aria-labelledby":idPrefix+i});tabs.push(tab),panels.push(panel)}));const select=index=>{tabs.forEach(((tab,i)=>{tab.setAttribute("aria-selected",i===index?"true":"false"),tab.setAttribute("tabindex",i===index?"0":"-1"),tab.classList.toggle("active",i===index),panels[i].hidden=i!==index})),onSelect(index)};return tabs.forEach(((tab,i)=>{tab.addEventListener("click",(()=>select(i))),tab.addEventListener("keydown",(event=>{const moves={ArrowLeft:i-1,ArrowRight:i+1,Home:0,End:tabs.length-1};if(event.key in moves){event.preventDefault();const index=(moves[event.key]+tabs.length)%tabs.length;select(index),tabs[index].focus()}}))})),tabList.append(...tabs),select(selectedIndex),{tabList:tabList,panels:panels}}}));
+
+//# sourceMappingURL=project_tabs.min.js.map
\ No newline at end of file
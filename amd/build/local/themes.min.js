@@ -0,0 +1,3 @@
+define("filter_ace_inline/local/themes",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setUpTheme=void 0;let themeUpdaters=[],isWatching=!1;_exports.setUpTheme=(editor,uiParameters)=>{const darkMode=uiParameters.paramsMap["dark-theme-mode"],updateTheme=()=>{const useDark=2==darkMode||1==darkMode&&prefersDark();editor.setTheme("ace/theme/"+(useDark?uiParameters.darkTheme:uiParameters.lightTheme))};updateTheme(),1==darkMode&&(themeUpdaters.push({editor:editor,updateTheme:updateTheme}),watchColourScheme())};const prefersDark=()=>{const moodleTheme=document.documentElement.getAttribute("data-bs-theme");return"dark"===moodleTheme||"light"===moodleTheme?"dark"===moodleTheme:!!globalThis.matchMedia&&globalThis.matchMedia("(prefers-color-scheme: dark)").matches},watchColourScheme=()=>{if(isWatching)return;isWatching=!0;const updateAll=()=>{themeUpdaters=themeUpdaters.filter((updater=>updater.editor.container.isConnected)),themeUpdaters.forEach((updater=>updater.updateTheme()))};globalThis.matchMedia&&globalThis.matchMedia("(prefers-color-scheme: dark)").addEventListener("change",updateAll);new MutationObserver(updateAll).observe(document.documentElement,{attributes:!0,attributeFilter:["data-bs-theme"]})}}));
+
+//# sourceMappingURL=themes.min.js.map
\ No newline at end of file
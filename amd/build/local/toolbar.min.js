@@ -0,0 +1,11 @@
+define("filter_ace_inline/local/toolbar",["exports","filter_ace_inline/local/utils"],(function(_exports,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.createOutputButtons=_exports.createCodeToolbar=void 0;
+/**
+   * JavaScript for the toolbar buttons that copy or download code and output.
+   *
+   * @module     filter_ace_inline/local/toolbar
+   * @copyright  Richard Lobb, Michelle Hsieh 2022
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const FILE_EXTENSIONS={c:"c",cpp:"cpp","c++":"cpp",c_cpp:"cpp",cs:"cs",css:"css",golang:"go",haskell:"hs",html:"html",java:"java",javascript:"js",json:"json",kotlin:"kt",markdown:"md",matlab:"m",pascal:"pas",perl:"pl",php:"php",python:"py",r:"r",ruby:"rb",rust:"rs",sh:"sh",sql:"sql",typescript:"ts",xml:"xml"};_exports.createCodeToolbar=async(getCode,getLang)=>{const toolbar=(0,_utils.createComponent)("div",["filter-ace-inline-toolbar"],{}),message=(0,_utils.createComponent)("span",["filter-ace-inline-toolbar-message"],{"aria-live":"polite"});return toolbar.append(await createToolbarButton("copy_code",(()=>copyText(getCode(),message))),await createToolbarButton("download_code",(()=>downloadText(getCode(),"code."+fileExtension(getLang()),message))),message),toolbar};_exports.createOutputButtons=async getOutput=>{const buttons=(0,_utils.createComponent)("span",["filter-ace-inline-toolbar"],{}),message=(0,_utils.createComponent)("span",["filter-ace-inline-toolbar-message"],{"aria-live":"polite"});return buttons.append(await createToolbarButton("copy_output",(()=>copyText(getOutput(),message))),await createToolbarButton("download_output",(()=>downloadText(getOutput(),"output.txt",message))),message),buttons};const fileExtension=lang=>{const langName=lang.toLowerCase();if(langName in FILE_EXTENSIONS)return FILE_EXTENSIONS[langName];const mode=(0,_utils.aceModeName)(langName);return mode in FILE_EXTENSIONS?FILE_EXTENSIONS[mode]:"txt"},createToolbarButton=async(langStringName,action)=>{const button=(0,_utils.createComponent)("button",["btn","btn-link","btn-sm","btn-ace-inline-toolbar"],{type:"button"});return button.innerHTML=await(0,_utils.getLangString)(langStringName),button.addEventListener("click",action),button},copyText=async(text,message)=>{let copied=!1;try{await navigator.clipboard.writeText(text),copied=!0}catch(error){const textarea=(0,_utils.createComponent)("textarea",[],{readonly:"1"});textarea.value=text,textarea.style.position="fixed",textarea.style.opacity="0",document.body.append(textarea),textarea.select();try{copied=document.execCommand("copy")}catch(fallbackError){copied=!1}textarea.remove()}showMessage(message,copied?"copied":"copy_failed")},downloadText=(text,filename,message)=>{const url=URL.createObjectURL(new Blob([text],{type:"text/plain"})),link=(0,_utils.createComponent)("a",[],{href:url,download:filename});document.body.append(link),link.click(),link.remove(),setTimeout((()=>URL.revokeObjectURL(url)),1e4),showMessage(message,"downloaded")},showMessage=async(message,langStringName)=>{message.innerHTML=await(0,_utils.getLangString)(langStringName),clearTimeout(message.timer),message.timer=setTimeout((()=>{message.innerHTML=""}),2e3)}}));
+
+//# sourceMappingURL=toolbar.min.js.map
\ No newline at end of file
@@ -1,4 +1,4 @@
-define("filter_ace_inline/local/ui_parameters",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.UiParameters=void 0;
+define("filter_ace_inline/local/ui_parameters",["exports","filter_ace_inline/local/ace_options"],(function(_exports,_ace_options){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.UiParameters=void 0;
 /**
    * JavaScript for the uiParameters class.
    *
@@ -6,6 +6,6 @@ define("filter_ace_inline/local/ui_parameters",["exports"],(function(_exports){O
    * @copyright  Richard Lobb, Michelle Hsieh 2022
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
    */
-const ACE_HIGHLIGHT={class:"ace_highlight_code",lang:"python3","ace-lang":"","font-size":"11pt","start-line-number":null,"min-lines":1,"max-lines":50,readonly:!0,"dark-theme-mode":null},ACE_INTERACTIVE={class:"ace_interactive_code",lang:"python3","ace-lang":"","font-size":"11pt",hidden:!1,"start-line-number":1,"button-name":"Try it!",readonly:null,stdin:"","stdin-taid":"","file-taids":{},"file-upload-id":null,prefix:"",suffix:"",params:'{"cputime": 5}',"code-mapper":null,"html-output":null,"min-lines":1,"max-lines":50,"max-output-length":3e4,"dark-theme-mode":null};_exports.UiParameters=class{constructor(pre){this.pre=pre,this.paramsMap={},this.modifiedLang=!1,this.execLang=null,this.stdin="",this.files=null,this.htmlOutput=null,this.sandboxParams=[]}extractUiParameters(isInteractive,config){const defaultParams=isInteractive?ACE_INTERACTIVE:ACE_HIGHLIGHT;isInteractive&&(defaultParams["button-name"]=config.button_label);for(const attrName in defaultParams)if(defaultParams.hasOwnProperty(attrName)){let value="",dataName="",attr=this.pre.attributes.getNamedItem(attrName);if(attr?dataName=attrName:(dataName="data-"+attrName,attr=this.pre.attributes.getNamedItem(dataName)),attr)switch(value=attr.value,attrName){case"start-line-number":value="none"===value.toLowerCase()?null:parseInt(value);break;case"min-lines":case"max-lines":value=parseInt(value);break;case"hidden":value=!0;break;case"lang":this.modifiedLang=!0}else value=defaultParams[attrName];this.paramsMap[attrName]=value}null===this.paramsMap["dark-theme-mode"]&&(this.paramsMap["dark-theme-mode"]=config.dark_theme_mode),this.extractTinyParams()}extractTinyParams(){this.paramsMap.class.split(" ").forEach((attribute=>{attribute.startsWith("language")&&!1===this.modifiedLang&&(this.paramsMap.lang=attribute.replace("language-",""))})),"python"===this.paramsMap.lang&&(this.paramsMap.lang="python3")}setStdin(){const taid=this.paramsMap["stdin-taid"],stdin=this.paramsMap.stdin;if(taid){const box=document.querySelector("#"+taid);this.stdin=null===box?null:box.value}else this.stdin=stdin||""}setFiles(files){this.files=files}setExecLang(lang){this.execLang=lang}setHtmlOutput(hasHtml){this.htmlOutput=hasHtml}setSandboxParams(paramsArray){this.sandboxParams=paramsArray}setRunParams(paramsString){this.paramsMap["run-params"]=paramsString}}}));
+const ACE_HIGHLIGHT={class:"ace_highlight_code",lang:"python3","ace-lang":"","font-size":"11pt","start-line-number":null,"highlight-lines":null,"min-lines":1,"max-lines":50,readonly:!0,"dark-theme-mode":null,theme:null,"ace-options":null,toolbar:null,resizable:null},ACE_INTERACTIVE={class:"ace_interactive_code",lang:"python3","ace-lang":"",langs:null,"starter-code":null,"font-size":"11pt",hidden:!1,"start-line-number":1,"highlight-lines":null,"button-name":"Try it!",readonly:null,"locked-lines":null,stdin:"","stdin-taid":"","stdin-box":null,"file-taids":{},"file-upload-id":null,prefix:"",suffix:"",params:'{"cputime": 5}',"code-mapper":null,"output-mapper":null,"html-output":null,"image-output":null,"ansi-output":null,"combined-output":null,"min-lines":1,"max-lines":50,"max-output-length":3e4,"dark-theme-mode":null,theme:null,"ace-options":null,id:null,"no-autosave":null,"show-changes":null,"expected-output":null,"expected-taid":"","ignore-whitespace":null,"ignore-case":null,tests:null,"stop-on-error":null,group:null,"cell-order":null,"client-timeout":60,"history-size":5,toolbar:null,resizable:null},normaliseLang=lang=>{const name=lang.trim().toLowerCase();return"python"===name?"python3":name};_exports.UiParameters=class{constructor(pre){this.pre=pre,this.paramsMap={},this.modifiedLang=!1,this.execLang=null,this.stdin="",this.files=null,this.htmlOutput=null,this.codeOffset=null,this.sandboxParams=[],this.expectedOutput=null,this.tests=null,this.stdinBox=null,this.runId=0,this.lightTheme="textmate",this.darkTheme="tomorrow_night",this.maxFileSize=2097152,this.aceOptions={},this.projectFiles={},this.langs=[],this.starterCode={}}extractUiParameters(isInteractive,config){const defaultParams=isInteractive?ACE_INTERACTIVE:ACE_HIGHLIGHT;isInteractive&&(defaultParams["button-name"]=config.button_label);for(const attrName in defaultParams)if(defaultParams.hasOwnProperty(attrName)){let value="",dataName="",attr=this.pre.attributes.getNamedItem(attrName);if(attr?dataName=attrName:(dataName="data-"+attrName,attr=this.pre.attributes.getNamedItem(dataName)),attr)switch(value=attr.value,attrName){case"start-line-number":value="none"===value.toLowerCase()?null:parseInt(value);break;case"min-lines":case"max-lines":case"history-size":value=parseInt(value);break;case"cell-order":case"client-timeout":value=parseFloat(value);break;case"ansi-output":value=!["0","false","no","off"].includes(value.toLowerCase());break;case"hidden":value=!0;break;case"lang":this.modifiedLang=!0}else value=defaultParams[attrName];this.paramsMap[attrName]=value}null===this.paramsMap["dark-theme-mode"]&&(this.paramsMap["dark-theme-mode"]=config.dark_theme_mode),isInteractive&&null===this.paramsMap["ansi-output"]&&(this.paramsMap["ansi-output"]=1==config.ansi_output),this.setThemes(config),this.aceOptions={...(0,_ace_options.parseAceOptions)(config.ace_options),...(0,_ace_options.parseAceOptions)(this.paramsMap["ace-options"])},config.max_file_size&&(this.maxFileSize=1024*config.max_file_size),this.extractTinyParams(),isInteractive&&this.setLangs()}setThemes(config){if(config.light_theme&&(this.lightTheme=config.light_theme),config.dark_theme&&(this.darkTheme=config.dark_theme),this.paramsMap.theme){const themes=this.paramsMap.theme.split(",").map((theme=>theme.trim()));this.lightTheme=themes[0],this.darkTheme=themes.length>1?themes[1]:themes[0]}}extractTinyParams(){this.paramsMap.class.split(" ").forEach((attribute=>{attribute.startsWith("language")&&!1===this.modifiedLang&&(this.paramsMap.lang=attribute.replace("language-",""),this.modifiedLang=!0)})),"python"===this.paramsMap.lang&&(this.paramsMap.lang="python3")}setLangs(){if(!this.paramsMap.langs)return;const langs=this.paramsMap.langs.split(",").map(normaliseLang).filter((lang=>""!==lang));this.langs=[...new Set(langs)],!(this.langs.length>0)||this.modifiedLang&&this.langs.includes(this.paramsMap.lang)||(this.paramsMap.lang=this.langs[0]);try{const starterCode=JSON.parse(this.paramsMap["starter-code"]);if(null!==starterCode&&"object"==typeof starterCode&&!Array.isArray(starterCode))for(const lang in starterCode)"string"==typeof starterCode[lang]&&(this.starterCode[normaliseLang(lang)]=starterCode[lang])}catch(SyntaxError){this.starterCode={}}}setStdin(){const taid=this.paramsMap["stdin-taid"],stdin=this.paramsMap.stdin;if(null!==this.stdinBox)this.stdin=this.stdinBox.value;else if(taid){const box=document.querySelector("#"+taid);this.stdin=null===box?null:box.value}else this.stdin=stdin||""}setStdinBox(textarea){this.stdinBox=textarea}setExpectedOutput(){const taid=this.paramsMap["expected-taid"];if(taid){const element=document.querySelector("#"+taid);this.expectedOutput=null!==element&&("value"in element?element.value:element.textContent)}else this.expectedOutput=this.paramsMap["expected-output"]}setTests(){const tests=this.paramsMap.tests;if(null===tests)this.tests=null;else try{const testList=JSON.parse(tests);this.tests=!!Array.isArray(testList)&&testList}catch(SyntaxError){this.tests=!1}}startRun(){return this.runId+=1,this.runId}cancelRun(){this.runId+=1}isCurrentRun(runId){return runId===this.runId}setFiles(files){this.files=files}setProjectFiles(projectFiles){this.projectFiles=projectFiles}setExecLang(lang){this.execLang=lang}setCodeOffset(offset){this.codeOffset=offset}setHtmlOutput(hasHtml){this.htmlOutput=hasHtml}setSandboxParams(paramsArray){this.sandboxParams=paramsArray}setRunParams(paramsString){this.paramsMap["run-params"]=paramsString}}}));
 
 //# sourceMappingURL=ui_parameters.min.js.map
\ No newline at end of file
@@ -24,6 +24,9 @@
  */
 
 import {applyAceAndBuildUi} from "filter_ace_inline/local/apply_ace_editor";
+import {aceElementSelector, observeNewContent, showPlainTextFallback, waitForAce}
+    from "filter_ace_inline/local/ace_loader";
+import {setUpStorage} from "filter_ace_inline/local/code_storage";
 
 /**
  * Applies ace interactive code precisely once per page.
@@ -32,14 +35,13 @@ import {applyAceAndBuildUi} from "filter_ace_inline/local/apply_ace_editor";
 export const initAceInteractive = async(config) => {
     if (!globalThis.aceInlineCodeInteractiveDone) { // Do it once only.
         globalThis.aceInlineCodeInteractiveDone = true;
-        while (!globalThis.ace) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        setUpStorage(config.user_id);
+        if (await initAce(true, config)) {
+            // Add a hook for use by dynamically generated content.
+            globalThis.applyAceInteractive = function() {
+                applyAceAndBuildUi(document, true, config);
+            };
         }
-        applyAceAndBuildUi(document, true, config);
-        // Add a hook for use by dynamically generated content.
-        globalThis.applyAceInteractive = function() {
-            applyAceAndBuildUi(document, true, config);
-        };
     }
 };
 
@@ -50,13 +52,31 @@ export const initAceInteractive = async(config) => {
 export const initAceHighlighting = async(config) => {
     if (!globalThis.aceInlineCodeHighlightingDone) { // Do it once only.
         globalThis.aceInlineCodeHighlightingDone = true;
-        while (!globalThis.ace) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        if (await initAce(false, config)) {
+            // Add a hook for use by dynamically generated content.
+            globalThis.applyAceHighlighting = function() {
+                applyAceAndBuildUi(document, false, config);
+            };
         }
-        applyAceAndBuildUi(document, false, config);
-        // Add a hook for use by dynamically generated content.
-        globalThis.applyAceHighlighting = function() {
-            applyAceAndBuildUi(document, false, config);
-        };
     }
 };
+
+/**
+ * Wait for Ace to load, then apply it to all the relevant elements on the
+ * page and to any that are inserted into the page later. If Ace doesn't load
+ * the elements are left as plain text, with a notice saying so.
+ * @param {bool} isInteractive True for ace-interactive otherwise false.
+ * @param {array} config Config settings for dark-mode and buttons.
+ * @returns {bool} True if Ace was loaded.
+ */
+const initAce = async(isInteractive, config) => {
+    const isAceLoaded = await waitForAce();
+    if (isAceLoaded) {
+        applyAceAndBuildUi(document, isInteractive, config);
+        observeNewContent(aceElementSelector(isInteractive), () => applyAceAndBuildUi(document, isInteractive, config));
+    } else {
+        showPlainTextFallback(document, isInteractive);
+        observeNewContent(aceElementSelector(isInteractive), () => showPlainTextFallback(document, isInteractive));
+    }
+    return isAceLoaded;
+};
@@ -23,19 +23,37 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-import {createComponent, combinedOutput, diagnose, escapeHtml, getLangString} from "filter_ace_inline/local/utils";
+import {createComponent, combinedOutput, diagnose, escapeHtml, getLangString, splitImageOutput, truncate}
+    from "filter_ace_inline/local/utils";
+import {ansiToHtml, stripAnsi} from "filter_ace_inline/local/ansi";
 import {getFiles} from "filter_ace_inline/local/file_helpers";
 import {processCode} from "filter_ace_inline/local/repository";
+import {checkOutput} from "filter_ace_inline/local/output_check";
+import {getEarlierCode, removeEarlierOutput} from "filter_ace_inline/local/cell_groups";
 
 const RESULT_SUCCESS = 15; // Code for a correct Jobe run.
 
+// Names of the events dispatched from the element that each block was created from.
+export const BEFORE_RUN_EVENT = 'filter_ace_inline:before-run';
+export const RUN_COMPLETE_EVENT = 'filter_ace_inline:run-complete';
+export const RUN_ERROR_EVENT = 'filter_ace_inline:run-error';
+
+// The fields of the sandbox response that are displayed in separate sections,
+// unless the combined-output attribute is given, and their section labels.
+const OUTPUT_STREAMS = [
+    ['cmpinfo', 'stream_compiler'],
+    ['output', 'stream_output'],
+    ['stderr', 'stream_error']
+];
+
 /**
  * Handle a click on the Try it! button; pre-checks the taids for valid ids.
  * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
  * @param {string} code The code to be run.
  * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
  * Keys are button-name, lang, stdin, files, params, prefix, suffix, codemapper, html-output.
- * @returns {string} code of the code to run, else null but executes errors if needed.
+ * @returns {string|null|false} code of the code to run, else null but executes errors if needed,
+ * or false if a page script prevented the run.
  */
 export const handleButtonClick = async(outputDisplayArea, code, uiParameters) => {
     cleanOutput(outputDisplayArea);
@@ -46,16 +64,30 @@ export const handleButtonClick = async(outputDisplayArea, code, uiParameters) =>
     uiParameters.setExecLang(params.lang);
     uiParameters.setHtmlOutput(params['html-output']);
 
+    const editorCode = code;
     const mapFunc = params['code-mapper'];
     if (mapFunc in globalThis) {
         code = globalThis[mapFunc](code);
     } else if (mapFunc !== null) {
         errorText = await getLangString('error_script_unknown');
     }
+    const outputMapFunc = params['output-mapper'];
+    if (outputMapFunc !== null && !(outputMapFunc in globalThis)) {
+        errorText = await getLangString('error_script_unknown');
+    }
 
+    // The code-mapper is assumed not to add lines before the editor's code if that isn't in its output.
+    const mapperIndex = typeof code === 'string' ? code.indexOf(editorCode) : -1;
+    const mappedBefore = mapperIndex > 0 ? code.substring(0, mapperIndex) : '';
     code = params.prefix + code + params.suffix;
+    // If the code is a cell in a group, the earlier cells need to be run first.
+    const earlierCode = getEarlierCode(uiParameters, params.lang);
+    code = earlierCode + code;
+    const linesBefore = (earlierCode + params.prefix + mappedBefore).split('\n').length - 1;
     // Get the parameters by parsing.
     uiParameters.setStdin();
+    uiParameters.setExpectedOutput();
+    uiParameters.setTests();
     uiParameters.setFiles(await getFiles(uiParameters));
     // If html/markup is the chosen language; change uiParameters and wrap in Python.
     if ((params.lang === 'markup') || (params.lang === 'html')) {
@@ -79,8 +111,12 @@ export const handleButtonClick = async(outputDisplayArea, code, uiParameters) =>
         errorText = await getLangString('error_json_params');
     }
 
+    if (uiParameters.tests === false) {
+        errorText = await getLangString('error_json_tests');
+    }
+
     // If there is a bad id.
-    if (uiParameters.stdin === null || uiParameters.files === 'bad_id') {
+    if (uiParameters.stdin === null || uiParameters.files === 'bad_id' || uiParameters.expectedOutput === false) {
         errorText = await getLangString('error_element_unknown');
     }
 
@@ -89,10 +125,19 @@ export const handleButtonClick = async(outputDisplayArea, code, uiParameters) =>
         let text = '*** ' + await getLangString('error_user_params') + ' ***\n' + errorText;
         outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-user');
         outputDisplayArea.children.item(0).innerHTML = escapeHtml(text);
+        dispatchRunEvent(uiParameters, RUN_ERROR_EVENT, {error: errorText});
         return null;
     }
 
-    return code;
+    // Page scripts can change the code to be run, or prevent the run altogether.
+    const detail = {code: code};
+    if (!dispatchRunEvent(uiParameters, BEFORE_RUN_EVENT, detail, true)) {
+        outputDisplayArea.style.display = 'none';
+        return false;
+    }
+    // The line offset isn't known if a page script changed the code.
+    uiParameters.setCodeOffset(detail.code === code ? linesBefore : null);
+    return detail.code;
 };
 
 /**
@@ -101,19 +146,268 @@ export const handleButtonClick = async(outputDisplayArea, code, uiParameters) =>
  * @param {string} code The code to be run.
  * @param {int} uiParameters The various parameters (mostly attributes of the pre element).
  * Keys are button-name, lang, stdin, files, params, prefix, suffix, codemapper, html-output.
+ * @param {int} runId The id of this run, from uiParameters.startRun(). The result
+ * is discarded if another run has been started, or this one cancelled, meanwhile.
+ * @returns {string|null} The JSON response from the sandbox if it was displayed, else null.
  */
-export const executeCode = async(outputDisplayArea, code, uiParameters) => {
-    await processCode(code, uiParameters)
+export const executeCode = async(outputDisplayArea, code, uiParameters, runId) => {
+    return runInSandbox(code, uiParameters)
         .then(responseJson => {
-            displaySuccess(responseJson, outputDisplayArea, uiParameters);
-            return null;
+            if (!uiParameters.isCurrentRun(runId)) {
+                return null;
+            }
+            const response = displaySuccess(responseJson, outputDisplayArea, uiParameters);
+            dispatchRunEvent(uiParameters, RUN_COMPLETE_EVENT, {
+                response: response,
+                succeeded: isSuccessfulRun(responseJson),
+                code: code
+            });
+            return responseJson;
         })
         .catch(error => {
+            if (uiParameters.isCurrentRun(runId)) {
+                cleanOutput(outputDisplayArea);
+                // Change the outputDisplayArea to something more ominious...
+                outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-user');
+                displayTextOutput(error.message, 'error_user_params', outputDisplayArea);
+                dispatchRunEvent(uiParameters, RUN_ERROR_EVENT, {error: error.message});
+            }
+            return null;
+        });
+};
+
+/**
+ * Redisplays the output of an earlier run, as recorded in the run history.
+ * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
+ * @param {string} responseJson The JSON response from the sandbox for the earlier run.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ */
+export const redisplayOutput = (outputDisplayArea, responseJson, uiParameters) => {
+    outputDisplayArea.style.display = '';
+    displaySuccess(responseJson, outputDisplayArea, uiParameters);
+};
+
+/**
+ * Returns true if the given sandbox response is from a run that completed
+ * without any sort of error.
+ * @param {string} responseJson The JSON response from the sandbox.
+ * @returns {bool} True if the run succeeded.
+ */
+export const isSuccessfulRun = (responseJson) => {
+    const response = JSON.parse(responseJson);
+    return diagnose(response) === '' && response.result === RESULT_SUCCESS;
+};
+
+/**
+ * Abandons any run in progress and says so in the output display area.
+ * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ */
+export const cancelRun = (outputDisplayArea, uiParameters) => {
+    uiParameters.cancelRun();
+    cleanOutput(outputDisplayArea);
+    displayTextOutput('', 'run_cancelled', outputDisplayArea);
+};
+
+/**
+ * Abandons any run in progress and clears and hides the output display area.
+ * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ */
+export const clearOutput = (outputDisplayArea, uiParameters) => {
+    uiParameters.cancelRun();
+    cleanOutput(outputDisplayArea);
+    outputDisplayArea.style.display = 'none';
+};
+
+/**
+ * Dispatches a (bubbling) CustomEvent from the element that the block was
+ * created from, so page scripts can react to runs.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ * @param {string} name The name of the event.
+ * @param {object} detail The event's detail attribute.
+ * @param {bool} cancelable True if the event can be cancelled.
+ * @returns {bool} False if the event was cancelled, else true.
+ */
+const dispatchRunEvent = (uiParameters, name, detail, cancelable = false) =>
+    uiParameters.pre.dispatchEvent(new CustomEvent(name, {bubbles: true, cancelable: cancelable, detail: detail}));
+
+/**
+ * Runs the code through CodeRunner run_in_sandbox, rejecting with a suitable
+ * error if there is no response within 'client-timeout' seconds (unless
+ * that's zero).
+ * @param {string} code The code to be run.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ * @returns {Promise} A Promise response from the sandbox.
+ */
+const runInSandbox = async(code, uiParameters) => {
+    const timeout = uiParameters.paramsMap['client-timeout'];
+    if (!(timeout > 0)) {
+        return processCode(code, uiParameters);
+    }
+    const message = await getLangString('error_client_timeout', timeout);
+    let timer = null;
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeout * 1000);
+    });
+    return Promise.race([processCode(code, uiParameters), timeoutPromise])
+        .finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs the code through CodeRunner run_in_sandbox once for each of the test
+ * cases given by the 'tests' attribute and displays a table of the results.
+ * If 'stop-on-error' is set, testing stops at the first run that fails with
+ * an error (as opposed to just giving the wrong output).
+ * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
+ * @param {string} code The code to be run.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ * @param {int} runId The id of this run, from uiParameters.startRun(). Testing
+ * stops if another run has been started, or this one cancelled, meanwhile.
+ */
+export const executeTests = async(outputDisplayArea, code, uiParameters, runId) => {
+    const stdin = uiParameters.stdin;
+    const files = uiParameters.files;
+    const stopOnError = uiParameters.paramsMap['stop-on-error'] !== null;
+    const summary = createComponent('div', ['filter-ace-inline-check'], {});
+    const table = await createResultsTable();
+    outputDisplayArea.append(summary, table);
+    let numPassed = 0;
+    let aborted = false;
+    try {
+        for (const test of uiParameters.tests) {
+            uiParameters.stdin = test.stdin === undefined ? stdin : test.stdin;
+            uiParameters.setFiles(mergeFiles(files, test.files));
+            const result = await runTest(code, test, uiParameters);
+            if (!uiParameters.isCurrentRun(runId)) {
+                return;
+            }
+            table.tBodies[0].append(createResultsRow(test, result, uiParameters.paramsMap['ansi-output'] === true));
+            if (result.passed) {
+                numPassed += 1;
+            }
+            if (result.isError && stopOnError && test !== uiParameters.tests[uiParameters.tests.length - 1]) {
+                aborted = true;
+                break;
+            }
+        }
+    } catch (error) {
+        if (uiParameters.isCurrentRun(runId)) {
             cleanOutput(outputDisplayArea);
-            // Change the outputDisplayArea to something more ominious...
             outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-user');
             displayTextOutput(error.message, 'error_user_params', outputDisplayArea);
-        });
+            dispatchRunEvent(uiParameters, RUN_ERROR_EVENT, {error: error.message});
+        }
+        return;
+    } finally {
+        if (uiParameters.isCurrentRun(runId)) {
+            uiParameters.stdin = stdin;
+            uiParameters.setFiles(files);
+        }
+    }
+    const allPassed = numPassed === uiParameters.tests.length;
+    summary.classList.add(allPassed ? 'filter-ace-inline-check-pass' : 'filter-ace-inline-check-fail');
+    let text = await getLangString('tests_summary', {passed: numPassed, total: uiParameters.tests.length});
+    if (aborted) {
+        text += ' ' + await getLangString('tests_aborted');
+    }
+    summary.innerHTML = escapeHtml(text);
+    dispatchRunEvent(uiParameters, RUN_COMPLETE_EVENT, {
+        response: null,
+        code: null,
+        succeeded: allPassed,
+        passed: numPassed,
+        total: uiParameters.tests.length
+    });
+};
+
+/**
+ * Runs a single test case and returns the outcome.
+ * @param {string} code The code to be run.
+ * @param {object} test The test case, with optional attributes stdin, expected and files.
+ * @param {Object} uiParameters The UiParameters object, with stdin and files set for this test.
+ * @returns {object} An object with attributes got (the text to display as the
+ * output), passed (true, false or null if there is no expected output) and
+ * isError (true if the run failed with a compile, runtime or sandbox error).
+ */
+const runTest = async(code, test, uiParameters) => {
+    const params = uiParameters.paramsMap;
+    const maxLen = params['max-output-length'];
+    const response = JSON.parse(await runInSandbox(code, uiParameters));
+    response.output = removeEarlierOutput(response.output, uiParameters);
+    const error = diagnose(response);
+    if (error !== '') {
+        const extra = response.error == 0 ? combinedOutput(response, maxLen) : '';
+        return {got: '*** ' + await getLangString(error) + ' ***\n' + extra, passed: false, isError: true};
+    } else if (response.result !== RESULT_SUCCESS) {
+        return {got: combinedOutput(response, maxLen), passed: false, isError: true};
+    }
+    let passed = null;
+    if (test.expected !== undefined) {
+        const output = params['ansi-output'] === true ? stripAnsi(response.output) : response.output;
+        passed = checkOutput(String(test.expected), output,
+            params['ignore-whitespace'] !== null, params['ignore-case'] !== null).passed;
+    }
+    return {got: combinedOutput(response, maxLen), passed: passed, isError: false};
+};
+
+/**
+ * Returns the JSON-encoded files for a test case, which are the files that
+ * apply to all runs plus any files specific to the test case.
+ * @param {string} files The JSON-encoded filename:filecontents mappings for all runs.
+ * @param {object} testFiles The filename:filecontents mappings for this test case, if any.
+ * @returns {string} The JSON-encoded filename:filecontents mappings for this test case.
+ */
+const mergeFiles = (files, testFiles) => {
+    let map = {};
+    try {
+        map = JSON.parse(files);
+    } catch (SyntaxError) {
+        map = {};
+    }
+    return JSON.stringify(Object.assign(map, testFiles || {}));
+};
+
+/**
+ * Creates an empty table, with headings, in which to display test results.
+ * @returns {html_element} The HTML table.
+ */
+const createResultsTable = async() => {
+    const table = createComponent('table', ['filter-ace-inline-results'], {});
+    const headerRow = table.createTHead().insertRow();
+    for (const heading of ['tests_input', 'output_check_expected', 'output_check_got', '']) {
+        const cell = createComponent('th', [], {});
+        cell.innerHTML = heading ? escapeHtml(await getLangString(heading)) : '';
+        headerRow.append(cell);
+    }
+    table.createTBody();
+    return table;
+};
+
+/**
+ * Creates a row of the test results table.
+ * @param {object} test The test case.
+ * @param {object} result The outcome of the test case, as returned by runTest.
+ * @param {bool} isAnsi True if ANSI escape codes in the output are to be rendered.
+ * @returns {html_element} The HTML table row.
+ */
+const createResultsRow = (test, result, isAnsi) => {
+    const row = createComponent('tr', [], {});
+    const expected = test.expected === undefined ? '' : String(test.expected);
+    for (const text of [test.stdin || '', expected, result.got]) {
+        const cell = createComponent('td', [], {});
+        const pre = createComponent('pre', [], {});
+        pre.innerHTML = isAnsi && text === result.got ? ansiToHtml(text) : escapeHtml(text);
+        cell.append(pre);
+        row.append(cell);
+    }
+    const mark = createComponent('td', ['filter-ace-inline-results-mark'], {});
+    if (result.passed !== null) {
+        row.classList.add(result.passed ? 'filter-ace-inline-results-pass' : 'filter-ace-inline-results-fail');
+        mark.innerHTML = result.passed ? '&#x2714;' : '&#x2718;';
+    }
+    row.append(mark);
+    return row;
 };
 
 /**
@@ -121,6 +415,8 @@ export const executeCode = async(outputDisplayArea, code, uiParameters) => {
  * @param {JSON} responseJson The Json object response.
  * @param {Element} outputDisplayArea The area to have the text displayed.
  * @param {Object} uiParameters The UiParameters object that contains all the bits.
+ * @returns {object} The response that was displayed, i.e. without the output of
+ * any earlier cells in the group, as passed to the output-mapper.
  */
 const displaySuccess = (responseJson, outputDisplayArea, uiParameters) => {
     let text = '';
@@ -128,18 +424,29 @@ const displaySuccess = (responseJson, outputDisplayArea, uiParameters) => {
     const params = uiParameters.paramsMap;
     const htmlOutput = uiParameters.htmlOutput !== null;
     const maxLen = params['max-output-length'];
+    const isAnsi = params['ansi-output'] === true;
+    const isCombined = params['combined-output'] !== null;
 
     cleanOutput(outputDisplayArea);
     const response = JSON.parse(responseJson);
+    response.output = removeEarlierOutput(response.output, uiParameters);
+    if (params['output-mapper'] !== null && displayMappedOutput(response, outputDisplayArea, uiParameters)) {
+        return response;
+    }
     const error = diagnose(response);
     if (error === '') {
         // If no errors or compilation error or runtime error.
-        if (!htmlOutput || response.result !== RESULT_SUCCESS) {
+        const segments = params['image-output'] !== null ? splitImageOutput(response.output) : [response.output];
+        if (!htmlOutput && segments.length > 1 && isCombined) {
+            // Output contains images, which get interleaved with the text.
+            text += response.cmpinfo + truncate(segments[0], maxLen);
+            displayImageOutput(segments, response.stderr, maxLen, outputDisplayArea, isAnsi);
+        } else if (!htmlOutput || response.result !== RESULT_SUCCESS) {
             // Either it's not HTML output or it is but we have compilation or runtime errors.
-            text += combinedOutput(response, maxLen);
-            // If there is an execution error, change the output class.
-            if (response.result !== RESULT_SUCCESS) {
-                outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-error');
+            if (isCombined) {
+                text += combinedOutput(response, maxLen);
+            } else {
+                displayStreams(response, htmlOutput ? [response.output] : segments, maxLen, outputDisplayArea, isAnsi);
             }
         } else { // Valid HTML output - just plug in the raw html to the DOM.
             outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-html');
@@ -147,11 +454,24 @@ const displaySuccess = (responseJson, outputDisplayArea, uiParameters) => {
             html.innerHTML = response.output;
             outputDisplayArea.after(html);
         }
+        // If there is an execution error, change the output class.
+        if (response.result !== RESULT_SUCCESS) {
+            outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-error');
+        }
+        if (response.result === RESULT_SUCCESS && !htmlOutput && uiParameters.expectedOutput !== null) {
+            const textOutput = segments.filter((segment, i) => i % 2 === 0).join('');
+            displayOutputCheck(isAnsi ? stripAnsi(textOutput) : textOutput, uiParameters, outputDisplayArea);
+        }
     } else {
         // If an error occurs, display the language string in the
         // outputDisplayArea plus additional info, for non-sandbox errors.
         outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-error');
-        let extra = response.error == 0 ? combinedOutput(response, maxLen) : '';
+        let extra = '';
+        if (response.error == 0 && isCombined) {
+            extra = combinedOutput(response, maxLen);
+        } else if (response.error == 0) {
+            displayStreams(response, [response.output], maxLen, outputDisplayArea, isAnsi);
+        }
         if (error === 'error_unknown_runtime') {
             extra += response.error ? '(Sandbox error code ' + response.error + ')' :
                 '(Run result: ' + response.result + ')';
@@ -159,21 +479,165 @@ const displaySuccess = (responseJson, outputDisplayArea, uiParameters) => {
         langString += error;
         text += extra;
     }
-   displayTextOutput(text, langString, outputDisplayArea);
+   displayTextOutput(text, langString, outputDisplayArea, isAnsi);
+   return response;
 };
 
 
+/**
+ * Passes the sandbox response to the author's output-mapper function and
+ * displays what it returns, which can be:
+ *   - a string, or an object with a 'text' attribute: displayed as plain text;
+ *   - an object with an 'html' attribute: inserted into the DOM as raw HTML;
+ *   - a DOM node: inserted into the DOM as is;
+ *   - any other object: treated as a modified response (e.g. with the
+ *     boilerplate removed from its output) which is merged into the original
+ *     response, which is then displayed as usual;
+ *   - null or undefined: the response is displayed as usual.
+ * @param {object} response The response from the sandbox, which may be modified.
+ * @param {Element} outputDisplayArea The area to have the text displayed.
+ * @param {Object} uiParameters The UiParameters object that contains all the bits.
+ * @returns {bool} True if the output has been displayed, false if the
+ * (possibly modified) response still needs to be displayed as usual.
+ */
+const displayMappedOutput = (response, outputDisplayArea, uiParameters) => {
+    let mapped = null;
+    try {
+        mapped = globalThis[uiParameters.paramsMap['output-mapper']]({...response});
+    } catch (error) {
+        outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-error');
+        displayTextOutput(String(error), 'error_output_mapper', outputDisplayArea);
+        return true;
+    }
+    if (mapped === null || mapped === undefined) {
+        return false;
+    } else if (typeof mapped === 'string' || typeof mapped.text === 'string') {
+        displayTextOutput(typeof mapped === 'string' ? mapped : mapped.text, '', outputDisplayArea,
+            uiParameters.paramsMap['ansi-output'] === true);
+    } else if (mapped instanceof Node || typeof mapped.html === 'string') {
+        const html = createComponent('div', ['filter-ace-inline-html'], {});
+        if (mapped instanceof Node) {
+            html.append(mapped);
+        } else {
+            html.innerHTML = mapped.html;
+        }
+        outputDisplayArea.setAttribute('class', 'filter-ace-inline-output-html');
+        outputDisplayArea.after(html);
+    } else {
+        Object.assign(response, mapped);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Appends to the output display area (or its standard output section) the
+ * images and text that follow the first segment of text in output split by
+ * splitImageOutput. Each image is displayed as an img element and each
+ * non-empty text segment in a pre. The stderr output is appended to the
+ * final text segment.
+ * @param {array} segments The output split into text and images by splitImageOutput.
+ * @param {string} stderr The stderr output from the run.
+ * @param {int} maxLen The maximum length of each text segment.
+ * @param {html_element} outputDisplayArea The element to which the images and text are appended.
+ * @param {bool} isAnsi True if ANSI escape codes in the text are to be rendered.
+ */
+const displayImageOutput = (segments, stderr, maxLen, outputDisplayArea, isAnsi) => {
+    for (let i = 1; i < segments.length; i += 2) {
+        const image = createComponent('img', ['filter-ace-inline-output-image'], {'src': segments[i], 'alt': ''});
+        outputDisplayArea.append(image);
+        let text = truncate(segments[i + 1], maxLen);
+        if (i + 2 === segments.length) {
+            text += truncate(stderr, maxLen);
+        }
+        if (text !== '') {
+            const pre = createComponent('pre', ['filter-ace-inline-output-text'], {});
+            pre.innerHTML = isAnsi ? ansiToHtml(text) : escapeHtml(text);
+            outputDisplayArea.append(pre);
+        }
+    }
+};
+
+/**
+ * Appends to the output display area a labelled section for each non-empty
+ * stream (compiler output, standard output and standard error output) of the
+ * sandbox response, each truncated to the maximum output length. Images in
+ * the standard output are interleaved with its text.
+ * @param {object} response The response from the sandbox.
+ * @param {array} segments The standard output split into text and images by splitImageOutput.
+ * @param {int} maxLen The maximum length of each stream (or text segment).
+ * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
+ * @param {bool} isAnsi True if ANSI escape codes in the text are to be rendered.
+ */
+const displayStreams = async(response, segments, maxLen, outputDisplayArea, isAnsi) => {
+    const labels = [];
+    for (const [field, langString] of OUTPUT_STREAMS) {
+        if (!response[field]) {
+            continue;
+        }
+        const section = createComponent('div', ['filter-ace-inline-stream', 'filter-ace-inline-stream-' + field], {});
+        const label = createComponent('div', ['filter-ace-inline-stream-label'], {});
+        const pre = createComponent('pre', ['filter-ace-inline-output-text'], {});
+        const text = truncate(field === 'output' ? segments[0] : response[field], maxLen);
+        pre.innerHTML = isAnsi ? ansiToHtml(text) : escapeHtml(text);
+        section.append(label, pre);
+        if (field === 'output' && segments.length > 1) {
+            displayImageOutput(segments, '', maxLen, section, isAnsi);
+        }
+        outputDisplayArea.append(section);
+        labels.push([label, langString]);
+    }
+    // The labels are filled in last, so that the sections are in place before anything else is appended.
+    for (const [label, langString] of labels) {
+        label.innerHTML = escapeHtml(await getLangString(langString));
+    }
+};
+
 /**
  * Displays the text in the specified outputdisplay area.
  * @param {string} text Test to be displayed
  * @param {string} langString LangString for error-handling.
  * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
+ * @param {bool} isAnsi True if ANSI escape codes in the text are to be rendered.
  */
-const displayTextOutput = async(text, langString, outputDisplayArea) => {
+const displayTextOutput = async(text, langString, outputDisplayArea, isAnsi = false) => {
     if (langString !== '') {
         text = "*** " + await getLangString(langString) + " ***\n" + text;
     }
-    outputDisplayArea.children.item(0).innerHTML = escapeHtml(text);
+    outputDisplayArea.children.item(0).innerHTML = isAnsi ? ansiToHtml(text) : escapeHtml(text);
+};
+
+/**
+ * Compares the output of a successful run with the expected output and
+ * appends to the output display area a pass/fail banner plus, if the output
+ * is wrong, a line-by-line diff of the expected and actual output.
+ * @param {string} output The output from the run.
+ * @param {Object} uiParameters The UiParameters object that contains all the bits.
+ * @param {html_element} outputDisplayArea The HTML <p> element in which to display output.
+ */
+const displayOutputCheck = async(output, uiParameters, outputDisplayArea) => {
+    const params = uiParameters.paramsMap;
+    const result = checkOutput(uiParameters.expectedOutput, output,
+        params['ignore-whitespace'] !== null, params['ignore-case'] !== null);
+    const banner = createComponent('div', ['filter-ace-inline-check',
+        result.passed ? 'filter-ace-inline-check-pass' : 'filter-ace-inline-check-fail'], {});
+    banner.innerHTML = escapeHtml(await getLangString(result.passed ? 'output_check_pass' : 'output_check_fail'));
+    outputDisplayArea.append(banner);
+    if (!result.passed) {
+        const diff = createComponent('pre', ['filter-ace-inline-diff'], {});
+        const legend = createComponent('div', ['filter-ace-inline-diff-legend'], {});
+        for (const type of ['expected', 'got']) {
+            const key = createComponent('span', ['filter-ace-inline-diff-' + type], {});
+            key.innerHTML = escapeHtml(await getLangString('output_check_' + type));
+            legend.append(key);
+        }
+        for (const line of result.diff) {
+            const span = createComponent('span', ['filter-ace-inline-diff-' + line.type], {});
+            span.innerHTML = escapeHtml(line.line) || ' ';
+            diff.append(span);
+        }
+        outputDisplayArea.append(legend, diff);
+    }
 };
 
 /**
@@ -183,6 +647,10 @@ const displayTextOutput = async(text, langString, outputDisplayArea) => {
  */
 const cleanOutput = (outputDisplayArea) => {
     outputDisplayArea.children.item(0).innerHTML = '';
+    // Remove everything but the text pre: stream sections, images, test results tables and output checks.
+    while (outputDisplayArea.children.length > 1) {
+        outputDisplayArea.lastElementChild.remove();
+    }
     const potentialHtml = outputDisplayArea.nextElementSibling;
     if (potentialHtml !== null) {
         if (potentialHtml.className === 'filter-ace-inline-html') {
@@ -0,0 +1,116 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for waiting for Ace to load, for watching the page for newly
+ * inserted code elements and for displaying the code as plain text if Ace
+ * fails to load.
+ *
+ * @module     filter_ace_inline/local/ace_loader
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {createComponent, getLangString} from "filter_ace_inline/local/utils";
+
+const ACE_LOAD_TIMEOUT_SECS = 30; // Give up waiting for Ace after this.
+const ACE_POLL_INTERVAL_MS = 250;
+const FILTER_ELEMENT_SELECTOR = '.ace_editor, .filter-ace-inline-block';
+
+/**
+ * Return a CSS selector that matches all the pre and code elements (and, if
+ * interactive, the multi-file project divs) that are to be displayed by the filter.
+ * @param {bool} isInteractive True for ace-interactive otherwise false.
+ * @returns {string} The selector.
+ */
+export const aceElementSelector = (isInteractive) => {
+    const className = isInteractive ? 'ace-interactive-code' : 'ace-highlight-code';
+    const alternativeName = 'data-' + className;
+    const selector = 'pre.' + className + ', pre[' + alternativeName + '], code.' + className + ', code[' + alternativeName + ']';
+    return isInteractive ? selector + ', div.ace-interactive-project, div[data-ace-interactive-project]' : selector;
+};
+
+/**
+ * Wait until Ace has been loaded, or until the timeout expires.
+ * @returns {bool} True if Ace is available, false if we gave up waiting.
+ */
+export const waitForAce = async() => {
+    const deadline = Date.now() + ACE_LOAD_TIMEOUT_SECS * 1000;
+    while (!globalThis.ace && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, ACE_POLL_INTERVAL_MS));
+    }
+    return globalThis.ace ? true : false;
+};
+
+/**
+ * Call the given function whenever elements matching the given selector are
+ * inserted into the document, e.g. by AJAX or by other JavaScript. Several
+ * insertions in quick succession result in a single call. Insertions within
+ * the filter's own editors and blocks are ignored without being searched.
+ * @param {string} selector The CSS selector for the elements of interest.
+ * @param {function} handler The function to call.
+ */
+export const observeNewContent = (selector, handler) => {
+    let isPending = false;
+    const observer = new MutationObserver((mutations) => {
+        const isRelevant = mutations.some(mutation => !isInFilterElement(mutation.target) &&
+            Array.from(mutation.addedNodes).some(node =>
+                node.nodeType === Node.ELEMENT_NODE && (node.matches(selector) || node.querySelector(selector) !== null)));
+        if (isRelevant && !isPending) {
+            isPending = true;
+            setTimeout(() => {
+                isPending = false;
+                handler();
+            }, 0);
+        }
+    });
+    observer.observe(document.body, {childList: true, subtree: true});
+};
+
+/**
+ * Return true if the given node is within an Ace editor or an interactive
+ * block, whose contents change constantly (e.g. as Ace renders each
+ * keystroke) but never include new elements for the filter.
+ * @param {Node} node The node.
+ * @returns {bool} True if the node is within an editor or block.
+ */
+const isInFilterElement = (node) =>
+    node.nodeType === Node.ELEMENT_NODE && node.closest(FILTER_ELEMENT_SELECTOR) !== null;
+
+/**
+ * Display a notice above each of the filter's elements within root that
+ * hasn't already got one, saying that Ace failed to load so the code is
+ * displayed as plain text. Code that the author hid stays hidden.
+ * @param {object} root The root of the HTML document to modify.
+ * @param {bool} isInteractive True for ace-interactive otherwise false.
+ */
+export const showPlainTextFallback = async(root, isInteractive) => {
+    const message = await getLangString(isInteractive ? 'error_ace_not_loaded_interactive' : 'error_ace_not_loaded');
+    for (const element of root.querySelectorAll(aceElementSelector(isInteractive))) {
+        const pre = element.tagName === 'CODE' ? element.parentNode : element;
+        const previous = pre === null ? null : pre.previousElementSibling;
+        if (pre === null || (previous !== null && previous.classList.contains('filter-ace-inline-fallback'))) {
+            continue;
+        }
+        const notice = createComponent('div', ['alert', 'alert-warning', 'filter-ace-inline-fallback'], {});
+        notice.innerHTML = message;
+        pre.before(notice);
+        if (element.hasAttribute('data-hidden') || element.hasAttribute('hidden')) {
+            pre.style.display = 'none';
+        }
+    }
+};
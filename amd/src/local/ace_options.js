@@ -0,0 +1,112 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for validating the Ace editor options given by the author
+ * or administrator and applying them to an editor.
+ *
+ * @module     filter_ace_inline/local/ace_options
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const isBoolean = (value) => typeof value === 'boolean';
+const isIntegerIn = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+const isOneOf = (...values) => (value) => values.includes(value);
+
+// The Ace options that authors and administrators may set, each with a
+// function that checks its value.
+const ALLOWED_OPTIONS = {
+    'tabSize': isIntegerIn(1, 16),
+    'useSoftTabs': isBoolean,
+    'navigateWithinSoftTabs': isBoolean,
+    'wrap': (value) => isBoolean(value) || value === 'free' || isIntegerIn(20, 200)(value),
+    'indentedSoftWrap': isBoolean,
+    'displayIndentGuides': isBoolean,
+    'highlightActiveLine': isBoolean,
+    'highlightSelectedWord': isBoolean,
+    'showInvisibles': isBoolean,
+    'showPrintMargin': isBoolean,
+    'printMarginColumn': isIntegerIn(20, 200),
+    'showFoldWidgets': isBoolean,
+    'fadeFoldWidgets': isBoolean,
+    'behavioursEnabled': isBoolean,
+    'wrapBehavioursEnabled': isBoolean,
+    'cursorStyle': isOneOf('ace', 'slim', 'smooth', 'wide'),
+    'scrollPastEnd': isBoolean,
+    'keyboardHandler': isOneOf('vim', 'emacs', 'sublime', 'vscode'),
+    'enableBasicAutocompletion': isBoolean,
+    'enableLiveAutocompletion': isBoolean,
+    'enableSnippets': isBoolean
+};
+
+// Options that need Ace's language_tools extension.
+const LANGUAGE_TOOLS_OPTIONS = ['enableBasicAutocompletion', 'enableLiveAutocompletion', 'enableSnippets'];
+
+/**
+ * Parse the given JSON string of Ace options, e.g. '{"tabSize": 4, "keyboardHandler": "vim"}',
+ * ignoring any options that aren't allowed or have invalid values.
+ * @param {string} json The JSON string, which may be empty.
+ * @returns {object} The valid options, which is empty if the JSON is invalid.
+ */
+export const parseAceOptions = (json) => {
+    const options = {};
+    if (!json || !json.trim()) {
+        return options;
+    }
+    let given = null;
+    try {
+        given = JSON.parse(json);
+    } catch (error) {
+        return options;
+    }
+    if (given === null || typeof given !== 'object' || Array.isArray(given)) {
+        return options;
+    }
+    for (const name in given) {
+        if (ALLOWED_OPTIONS.hasOwnProperty(name) && ALLOWED_OPTIONS[name](given[name])) {
+            options[name] = given[name];
+        }
+    }
+    return options;
+};
+
+/**
+ * Apply the given (valid) options to the given editor. The language_tools
+ * extension, needed for autocompletion and snippets, and the keyboard
+ * handlers are loaded by Ace on demand, so those options take effect once
+ * they have loaded.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {object} options The options, as returned by parseAceOptions.
+ */
+export const applyAceOptions = (editor, options) => {
+    const basicOptions = {};
+    const toolsOptions = {};
+    for (const name in options) {
+        if (name === 'keyboardHandler') {
+            editor.setKeyboardHandler('ace/keyboard/' + options[name]);
+        } else if (LANGUAGE_TOOLS_OPTIONS.includes(name)) {
+            toolsOptions[name] = options[name];
+        } else {
+            basicOptions[name] = options[name];
+        }
+    }
+    editor.setOptions(basicOptions);
+    if (Object.keys(toolsOptions).length > 0) {
+        globalThis.ace.config.loadModule('ace/ext/language_tools', () => editor.setOptions(toolsOptions));
+    }
+};
@@ -0,0 +1,180 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for converting the ANSI escape codes that set the colour and
+ * style of terminal output into HTML.
+ *
+ * @module     filter_ace_inline/local/ansi
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {escapeHtml} from "filter_ace_inline/local/utils";
+
+// Matches an escape sequence (CSI, OSC or a lone ESC) or an incomplete one at
+// the end of the text (e.g. after truncation).
+const ESCAPE_SEQUENCE = new RegExp('\\u001b(?:\\[([0-9;:?]*)([@-~])|\\][^\\u0007\\u001b]*(?:\\u0007|\\u001b\\\\)'
+    + '|\\[[0-9;:?]*$|[@-_]?)', 'g');
+
+const CLASS_PREFIX = 'filter-ace-inline-ansi-';
+
+// The SGR codes that switch a style on or off.
+const STYLE_ON = {1: 'bold', 2: 'dim', 3: 'italic', 4: 'underline', 9: 'strike'};
+const STYLE_OFF = {21: ['bold'], 22: ['bold', 'dim'], 23: ['italic'], 24: ['underline'], 29: ['strike']};
+
+/**
+ * Return the given text with all its ANSI escape sequences removed.
+ * @param {string} text The text.
+ * @returns {string} The plain text.
+ */
+export const stripAnsi = (text) => text.replace(ESCAPE_SEQUENCE, '');
+
+/**
+ * Convert the given text to HTML in which the text styled by ANSI SGR
+ * ("Select Graphic Rendition") sequences is wrapped in spans. The 16
+ * standard colours are set by classes (see styles.css) and the 256-colour
+ * and 24-bit colours by inline styles. Other escape sequences are removed
+ * and all text is HTML-escaped.
+ * @param {string} text The text, possibly containing escape sequences.
+ * @returns {string} The HTML.
+ */
+export const ansiToHtml = (text) => {
+    let state = newState();
+    let html = '';
+    let start = 0;
+    for (const match of text.matchAll(ESCAPE_SEQUENCE)) {
+        html += styledHtml(text.substring(start, match.index), state);
+        start = match.index + match[0].length;
+        if (match[2] === 'm') {
+            state = applySgr(state, match[1]);
+        }
+    }
+    return html + styledHtml(text.substring(start), state);
+};
+
+/**
+ * Return the initial (unstyled) state.
+ * @returns {object} The state.
+ */
+const newState = () => ({styles: [], fg: null, bg: null});
+
+/**
+ * Return the state that results from applying the given SGR parameters to
+ * the given state.
+ * @param {object} state The current state, with attributes styles (a list
+ * of style names) and fg and bg (each null, a standard colour number 0 - 15
+ * or a CSS colour string).
+ * @param {string} paramString The semicolon-separated SGR parameters.
+ * @returns {object} The new state.
+ */
+const applySgr = (state, paramString) => {
+    const codes = paramString.split(/[;:]/).map(code => code === '' ? 0 : parseInt(code));
+    const newStyles = new Set(state.styles);
+    let {fg, bg} = state;
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+            newStyles.clear();
+            fg = bg = null;
+        } else if (code in STYLE_ON) {
+            newStyles.add(STYLE_ON[code]);
+        } else if (code in STYLE_OFF) {
+            STYLE_OFF[code].forEach(style => newStyles.delete(style));
+        } else if (code >= 30 && code <= 37) {
+            fg = code - 30;
+        } else if (code >= 90 && code <= 97) {
+            fg = code - 90 + 8;
+        } else if (code >= 40 && code <= 47) {
+            bg = code - 40;
+        } else if (code >= 100 && code <= 107) {
+            bg = code - 100 + 8;
+        } else if (code === 39) {
+            fg = null;
+        } else if (code === 49) {
+            bg = null;
+        } else if (code === 38 || code === 48) {
+            const [colour, length] = extendedColour(codes, i + 1);
+            if (code === 38) {
+                fg = colour;
+            } else {
+                bg = colour;
+            }
+            i += length;
+        }
+    }
+    return {styles: [...newStyles], fg: fg, bg: bg};
+};
+
+/**
+ * Return the colour given by the 256-colour (5;n) or 24-bit (2;r;g;b)
+ * parameters at the given index in the list of SGR codes.
+ * @param {array} codes The SGR codes.
+ * @param {int} index The index of the first code after the 38 or 48.
+ * @returns {array} The colour (null if the codes are invalid) and the number
+ * of codes used.
+ */
+const extendedColour = (codes, index) => {
+    if (codes[index] === 5 && index + 1 < codes.length) {
+        const n = codes[index + 1];
+        return [n < 16 ? n : colour256(n), 2];
+    } else if (codes[index] === 2 && index + 3 < codes.length) {
+        const [r, g, b] = codes.slice(index + 1, index + 4);
+        return ['rgb(' + r + ',' + g + ',' + b + ')', 4];
+    }
+    return [null, codes.length - index];
+};
+
+/**
+ * Return the CSS colour for entries 16 - 255 of the xterm 256-colour
+ * palette, which are a 6 x 6 x 6 colour cube followed by 24 greys.
+ * @param {int} n The palette entry.
+ * @returns {string} The CSS colour.
+ */
+const colour256 = (n) => {
+    if (n >= 232) {
+        const grey = 8 + (n - 232) * 10;
+        return 'rgb(' + grey + ',' + grey + ',' + grey + ')';
+    }
+    const level = (i) => i === 0 ? 0 : 55 + i * 40;
+    const cube = n - 16;
+    return 'rgb(' + level(Math.floor(cube / 36)) + ',' + level(Math.floor(cube / 6) % 6) + ',' + level(cube % 6) + ')';
+};
+
+/**
+ * Return the given text, HTML-escaped and wrapped in a span with the classes
+ * and styles for the given state if it's not the initial state.
+ * @param {string} text The text.
+ * @param {object} state The state, as returned by applySgr.
+ * @returns {string} The HTML.
+ */
+const styledHtml = (text, state) => {
+    const classes = state.styles.map(style => CLASS_PREFIX + style);
+    const styles = [];
+    for (const [layer, colour] of [['fg', state.fg], ['bg', state.bg]]) {
+        if (typeof colour === 'number') {
+            classes.push(CLASS_PREFIX + layer + '-' + colour);
+        } else if (colour !== null) {
+            styles.push((layer === 'fg' ? 'color: ' : 'background-color: ') + colour);
+        }
+    }
+    if (text === '' || (classes.length === 0 && styles.length === 0)) {
+        return escapeHtml(text);
+    }
+    const style = styles.length === 0 ? '' : ' style="' + styles.join('; ') + '"';
+    return '<span class="' + classes.join(' ') + '"' + style + '>' + escapeHtml(text) + '</span>';
+};
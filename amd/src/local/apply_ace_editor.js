@@ -26,27 +26,27 @@
 import {UiParameters} from "filter_ace_inline/local/ui_parameters";
 import {addUi} from "filter_ace_inline/local/display_ui";
 import {setupFileHandler} from "filter_ace_inline/local/file_helpers";
+import {getStorageKey, loadCode, saveCode} from "filter_ace_inline/local/code_storage";
+import {createCodeToolbar} from "filter_ace_inline/local/toolbar";
+import {createExpandButton, addResizeHandle, leaveFullScreen} from "filter_ace_inline/local/editor_size";
+import {setUpTheme} from "filter_ace_inline/local/themes";
+import {applyAceOptions} from "filter_ace_inline/local/ace_options";
+import {highlightLines} from "filter_ace_inline/local/line_highlights";
+import {extractLockMarkers, lockedRows, setUpLockedLines} from "filter_ace_inline/local/locked_lines";
+import {addChangesView} from "filter_ace_inline/local/code_changes";
+import {setUpErrorLines} from "filter_ace_inline/local/error_lines";
+import {createTabs, fileMode} from "filter_ace_inline/local/project_tabs";
+import {createLanguageSelector} from "filter_ace_inline/local/language_selector";
+import {aceModeName, createComponent, getLangString} from "filter_ace_inline/local/utils";
 
-const ACE_DARK_THEME = 'ace/theme/tomorrow_night';
-const ACE_LIGHT_THEME = 'ace/theme/textmate';
 const LINE_NUMBER_COL_WIDTH = 42; // Width of line number column in Ace render.
-const ACE_MODE_MAP = { // Ace modes for various languages (default: use language name).
-    'c': 'c_cpp',
-    'cpp': 'c_cpp',
-    'js': 'javascript',
-    'nodejs': 'javascript',
-    'c#': 'cs',
-    'octave': 'matlab',
-    'c++': 'c_cpp',
-    'python2': 'python',
-    'python3': 'python',
-    'markup': 'html'
-};
+const PROJECT_SELECTOR = 'div.ace-interactive-project, div[data-ace-interactive-project]';
 
 /**
  * Replace all <pre> and <code> elements in the document rooted at root that have
  * the given className or ace-inline attribute, with an Ace editor windows that display the
- * code in whatever language has been set.
+ * code in whatever language has been set. If interactive, also replace each
+ * multi-file project div with a set of tabbed Ace editors, one per file.
  * @param {object} root The root of the HTML document to modify.
  * @param {bool} isInteractive True for ace-interactive otherwise false.
  * @param {object} config The plugin configuration settings.
@@ -55,6 +55,16 @@ export const applyAceAndBuildUi = async(root, isInteractive, config) => {
     const className = isInteractive ? 'ace-interactive-code' : 'ace-highlight-code';
     const alternativeName = isInteractive ? 'data-ace-interactive-code' : 'data-ace-highlight-code';
 
+    if (isInteractive) {
+        for (const container of root.querySelectorAll(PROJECT_SELECTOR)) {
+            if (container.style.display !== 'none') {
+                const uiParams = new UiParameters(container);
+                uiParams.extractUiParameters(isInteractive, config);
+                applyToProject(container, uiParams);
+            }
+        }
+    }
+
     const preElements = root.getElementsByTagName('pre');
     for (const pre of preElements) {
         if (pre.style.display !== 'none') {
@@ -87,19 +97,97 @@ export const applyAceAndBuildUi = async(root, isInteractive, config) => {
 const applyToPre = async(pre, isInteractive, uiParameters) => {
     const params = uiParameters.paramsMap;
     if (params['file-upload-id']) {
-        setupFileHandler(params['file-upload-id']);
+        setupFileHandler(params['file-upload-id'], uiParameters.maxFileSize);
     }
 
     if (!params.hidden) {
         setUpAce(pre, uiParameters, isInteractive);
     } else if (isInteractive) { // Code is hidden but there's still a button to run it.
         const getCode = () => pre.innerText;
-        addUi(pre, getCode, uiParameters);
+        const setCode = (code) => {
+            pre.textContent = code;
+        };
+        addUi(pre, getCode, uiParameters, null, setCode);
     }
 
     pre.style.display = 'none'; // NB this sets display = 'none', checked above.
 };
 
+/**
+ * Replace the given multi-file project div with a tab for each of its child
+ * pre elements that has a data-filename attribute, each tab containing an
+ * Ace editor for that file, plus the usual button and output area. The
+ * main file (the one with a data-main attribute, else the first) is the
+ * code that is run; the other files are sent to the sandbox with it.
+ * @param {HTMLelement} container The project div.
+ * @param {Object} uiParameters The UI parameters from the project div + defaults.
+ */
+const applyToProject = async(container, uiParameters) => {
+    const files = Array.from(container.children).filter(child => child.tagName === 'PRE' && child.dataset.filename);
+    if (files.length === 0) {
+        return;
+    }
+    container.style.display = 'none'; // NB this sets display = 'none', checked above.
+    const params = uiParameters.paramsMap;
+    if (params['file-upload-id']) {
+        setupFileHandler(params['file-upload-id'], uiParameters.maxFileSize);
+    }
+    const filenames = files.map(pre => pre.dataset.filename);
+    const mainIndex = Math.max(files.findIndex(pre => pre.hasAttribute('data-main')), 0);
+    const aceLang = params['ace-lang'] ? params['ace-lang'] : params.lang;
+    const storageKey = getStorageKey(container, uiParameters);
+
+    const editors = [];
+    let selectedIndex = mainIndex;
+    const {tabList, panels} = createTabs(filenames, mainIndex, (index) => {
+        selectedIndex = index;
+        if (index < editors.length) {
+            editors[index].resize(true); // Ace can't size an editor while it's hidden.
+        }
+    });
+    const block = createComponent('div', ['filter-ace-inline-block', 'filter-ace-inline-project'], {});
+    block.append(tabList, ...panels);
+    container.after(block);
+
+    const resets = [];
+    const projectFiles = {};
+    files.forEach((pre, i) => {
+        const {code: text, rows: markedRows} = extractLockMarkers(pre.textContent);
+        const editNode = createEditNode(container.style.width ? container.style.width : "100%");
+        panels[i].append(editNode);
+        const editor = createEditor(editNode, text, fileMode(filenames[i], 'ace/mode/' + aceModeName(aceLang)), uiParameters);
+        if (params.readonly !== null || pre.hasAttribute('data-readonly')) {
+            editor.setReadOnly(true);
+            editNode.classList.add('readonly'); // For CSS use.
+        } else {
+            setUpLockedLines(editor, markedRows);
+            if (params['no-autosave'] === null) {
+                resets.push(setUpAutosave(editor, storageKey + '/' + filenames[i], text));
+            }
+        }
+        if (i !== mainIndex) {
+            projectFiles[filenames[i]] = () => editor.getSession().getValue();
+        }
+        editors.push(editor);
+    });
+    uiParameters.setProjectFiles(projectFiles);
+
+    const mainEditor = editors[mainIndex];
+    const getCode = () => mainEditor.getSession().getValue();
+    const setCode = (code) => mainEditor.getSession().setValue(code);
+    const resetCode = resets.length === 0 ? null : () => {
+        resets.forEach(reset => reset());
+        editors[selectedIndex].focus();
+    };
+    setUpErrorLines(mainEditor, uiParameters, Object.keys(projectFiles));
+    const buttonDiv = await addUi(panels[panels.length - 1], getCode, uiParameters, resetCode, setCode);
+    for (const [i, editor] of editors.entries()) {
+        addRunCommand(editor, buttonDiv);
+        editor.textInput.getElement().setAttribute('aria-label', await getLangString('editor_label_project', filenames[i]));
+        setUpEscape(editor);
+    }
+};
+
 /**
  * Sets up Ace with all its parameters and adds a button if interactive.
  * @param {HTMLelement} pre The pre element that the Ace editor is replacing.
@@ -108,39 +196,128 @@ const applyToPre = async(pre, isInteractive, uiParameters) => {
  */
 const setUpAce = async(pre, uiParameters, isInteractive) => {
     const params = uiParameters.paramsMap;
-    const darkMode = params['dark-theme-mode']; // 0, 1, 2 for never, sometimes, always
-    let theme = null;
-    // Use light or dark theme according to user's prefers-color-scheme.
-    // Default to light.
-    if (darkMode == 2 || (darkMode == 1 && globalThis.matchMedia &&
-            globalThis.matchMedia("(prefers-color-scheme: dark)").matches)) {
-        theme = ACE_DARK_THEME;
+    const initialLang = params.lang;
+    const aceLang = params['ace-lang'] ? params['ace-lang'] : params.lang;
+    const mode = 'ace/mode/' + aceModeName(aceLang);
+    const {code: text, rows: markedRows} = extractLockMarkers(pre.textContent);
+    // The language of the code, which the user can change if there's a language selector.
+    const getLang = () => (params.lang === initialLang ? aceLang : params.lang);
+    const longestLine = longest(text.split("\n"));
+
+    const editNode = createEditNode(pre.style.width ? pre.style.width : "100%");
+    if (isInteractive) {
+        // Wrap the editor and its UI in a div that can be made full screen.
+        const block = createComponent('div', ['filter-ace-inline-block'], {});
+        pre.after(block);
+        block.append(editNode);
     } else {
-        theme = ACE_LIGHT_THEME;
+        pre.after(editNode); // Insert the edit node
     }
-    const showLineNumbers = params['start-line-number'] ? true : false;
-    let aceLang = params['ace-lang'] ? params['ace-lang'] : params.lang;
-    aceLang = aceLang.toLowerCase();
-    if (aceLang in ACE_MODE_MAP) {
-        aceLang = ACE_MODE_MAP[aceLang];
-    }
-    const mode = 'ace/mode/' + aceLang;
-    const text = pre.textContent;
-    const lines = text.split("\n");
-    const numLines = lines.length;
-    const longestLine = longest(lines);
-
-    const editNode = document.createElement('div'); // Ace editor manages this
+
+    const editor = createEditor(editNode, text, mode, uiParameters);
+    if (!pre.style.hasOwnProperty('width') || pre.style.width == 0) {
+        const aceWidestLine = Math.ceil(lineLength(editor.renderer, longestLine));
+        const minWidth = isInteractive ? aceWidestLine + LINE_NUMBER_COL_WIDTH : aceWidestLine;
+        editNode.style.minWidth = minWidth + "px";
+    }
+    if (params['highlight-lines']) {
+        highlightLines(editor, params['highlight-lines'], params['start-line-number']);
+    }
+    if (isInteractive && params.readonly === null) {
+        const rows = params['locked-lines']
+            ? lockedRows(params['locked-lines'], params['start-line-number'], editor.getSession().getLength()) : [];
+        setUpLockedLines(editor, markedRows.concat(rows));
+    }
+    if (params.readonly !== null) {
+        editor.setReadOnly(true);
+        editNode.classList.add('readonly'); // For CSS use.
+    }
+
+    // Add a button and text area for output if ace-interactive-code.
+    if (isInteractive) {
+        const getCode = () => editor.getSession().getValue();
+        let resetCode = null;
+        const storageKey = params.readonly === null && params['no-autosave'] === null ?
+            getStorageKey(pre, uiParameters) : null;
+        if (storageKey !== null) {
+            resetCode = setUpAutosave(editor, storageKey, text);
+        }
+        let languageSelector = null;
+        if (uiParameters.langs.length > 1) {
+            languageSelector = await createLanguageSelector(editor, uiParameters, storageKey);
+            if (resetCode !== null) {
+                const resetEditor = resetCode;
+                resetCode = () => {
+                    languageSelector.reset();
+                    resetEditor();
+                };
+            }
+        }
+        const setCode = (code, lang) => {
+            if (languageSelector !== null) {
+                languageSelector.setLang(lang);
+            }
+            editor.getSession().setValue(code);
+        };
+        setUpErrorLines(editor, uiParameters);
+        const buttonDiv = await addUi(editNode, getCode, uiParameters, resetCode, setCode);
+        if (languageSelector !== null) {
+            buttonDiv.querySelector('.btn-ace-inline-execution').after(languageSelector.element);
+        }
+        buttonDiv.append(await createExpandButton(editNode.parentNode, editor));
+        if (params['show-changes'] !== null && params.readonly === null) {
+            // The original code for a language other than the initial one is its starter code, if any.
+            const getOriginal = () => (params.lang !== initialLang && params.lang in uiParameters.starterCode
+                ? uiParameters.starterCode[params.lang] : text);
+            await addChangesView(editor, getOriginal, buttonDiv);
+        }
+        addRunCommand(editor, buttonDiv);
+        editor.textInput.getElement().setAttribute('aria-label', await getLangString('editor_label_interactive'));
+    } else {
+        editor.renderer.$cursorLayer.element.style.display = "none"; // Hide cursor.
+        editor.textInput.getElement().setAttribute('aria-label', await getLangString('editor_label_highlight'));
+    }
+    setUpEscape(editor);
+
+    if (params.resizable !== null) {
+        await addResizeHandle(editor);
+    }
+
+    if (params.toolbar !== null) {
+        editNode.before(await createCodeToolbar(() => editor.getSession().getValue(), getLang));
+    }
+};
+
+/**
+ * Create a div for an Ace editor to manage.
+ * @param {string} width The CSS width of the div.
+ * @returns {HTMLelement} The div.
+ */
+const createEditNode = (width) => {
+    const editNode = document.createElement('div');
     editNode.style.margin = "6px 0px 6px 0px";
     editNode.style.lineHeight = "1.3";
-    editNode.style.width = pre.style.width ? pre.style.width : "100%";
+    editNode.style.width = width;
     editNode.style.resize = "none";
-    pre.after(editNode); // Insert the edit node
+    return editNode;
+};
 
-    let aceConfig = {
+/**
+ * Create an Ace editor in the given div, displaying the given code, with
+ * the layout, options and theme given by the UI parameters.
+ * @param {HTMLelement} editNode The div for the editor.
+ * @param {string} text The code.
+ * @param {string} mode The Ace mode, e.g. ace/mode/python.
+ * @param {Object} uiParameters The UI parameters for the editor.
+ * @returns {Ace-editor} The editor.
+ */
+const createEditor = (editNode, text, mode, uiParameters) => {
+    const params = uiParameters.paramsMap;
+    const showLineNumbers = params['start-line-number'] ? true : false;
+    const aceConfig = {
         newLineMode: "unix",
         mode: mode,
-        minLines: Math.max(numLines, params['min-lines']),
+        minLines: Math.max(text.split("\n").length, params['min-lines']),
         maxLines: params['max-lines'],
         fontSize: params['font-size'],
         showLineNumbers: showLineNumbers,
@@ -150,28 +327,71 @@ const setUpAce = async(pre, uiParameters, isInteractive) => {
         autoScrollEditorIntoView: true,
         highlightActiveLine: showLineNumbers
     };
-
     const editor = globalThis.ace.edit(editNode, aceConfig);
-    const session = editor.getSession();
-    if (!pre.style.hasOwnProperty('width') || pre.style.width == 0) {
-        const aceWidestLine = Math.ceil(lineLength(editor.renderer, longestLine));
-        const minWidth = isInteractive ? aceWidestLine + LINE_NUMBER_COL_WIDTH : aceWidestLine;
-        editNode.style.minWidth = minWidth + "px";
-    }
-    session.setValue(text);
-    editor.setTheme(theme);
-    if (params.readonly !== null) {
-        editor.setReadOnly(true);
-        editNode.classList.add('readonly'); // For CSS use.
-    }
+    applyAceOptions(editor, uiParameters.aceOptions);
+    editor.getSession().setValue(text);
+    setUpTheme(editor, uiParameters);
+    return editor;
+};
 
-    // Add a button and text area for output if ace-interactive-code.
-    if (isInteractive) {
-        const getCode = () => editor.getSession().getValue();
-        addUi(editNode, getCode, uiParameters);
-    } else {
-        editor.renderer.$cursorLayer.element.style.display = "none"; // Hide cursor.
+/**
+ * Make Ctrl+Enter (Cmd+Enter on a Mac) in the given editor click the run
+ * button in the given div.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {HTMLelement} buttonDiv The div containing the run button.
+ */
+const addRunCommand = (editor, buttonDiv) => {
+    const runButton = buttonDiv.querySelector('.btn-ace-inline-execution');
+    editor.commands.addCommand({
+        name: 'runCode',
+        bindKey: {win: 'Ctrl-Enter', mac: 'Command-Enter'},
+        exec: () => runButton.click(),
+        readOnly: true
+    });
+    runButton.setAttribute('aria-keyshortcuts', 'Control+Enter Meta+Enter');
+};
+
+/**
+ * Make the Escape key move the focus from the editor's text input to the
+ * editor as a whole, so that (since Ace uses Tab for indenting) keyboard
+ * users can then Tab or Shift-Tab out of it. If the editor is in full-screen
+ * mode, Escape first returns it to the normal layout (Ace handles the key, so
+ * the block never sees it).
+ * @param {Ace-editor} editor The Ace editor.
+ */
+const setUpEscape = (editor) => {
+    editor.container.setAttribute('tabindex', '-1');
+    editor.commands.addCommand({
+        name: 'leaveEditor',
+        bindKey: {win: 'Esc', mac: 'Esc'},
+        exec: () => {
+            if (!leaveFullScreen(editor)) {
+                editor.container.focus();
+            }
+        },
+        readOnly: true
+    });
+};
+
+/**
+ * Restore any code the user previously saved for this editor and save their
+ * edits from now on.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {string} key The local storage key for this editor's code.
+ * @param {string} original The author's original code.
+ * @returns {function} A function that resets the editor to the original code.
+ */
+const setUpAutosave = (editor, key, original) => {
+    const session = editor.getSession();
+    const savedCode = loadCode(key, original);
+    if (savedCode !== null) {
+        session.setValue(savedCode);
     }
+    session.on('change', () => saveCode(key, original, session.getValue()));
+    return () => {
+        session.setValue(original);
+        editor.focus();
+    };
 };
 
 /**
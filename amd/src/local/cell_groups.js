@@ -0,0 +1,120 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for notebook-style groups of interactive elements ("cells"),
+ * in which running a cell first runs all the earlier cells in its group.
+ *
+ * @module     filter_ace_inline/local/cell_groups
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const SEPARATOR = '__filter_ace_inline_cell_output_starts_here__';
+
+// Code to print the separator line, for the languages in which the output
+// of earlier cells can be hidden.
+const PRINT_SEPARATOR = {
+    'python2': 'print "' + SEPARATOR + '"\n',
+    'python3': 'print("' + SEPARATOR + '")\n',
+    'nodejs': 'console.log("' + SEPARATOR + '");\n',
+    'octave': 'disp("' + SEPARATOR + '");\n'
+};
+
+const groups = {}; // Maps group name to a list of cells.
+
+/**
+ * Add an interactive element to its group, if it belongs to one.
+ * @param {function} getCode A function that retrieves the code in the cell.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ */
+export const registerCell = (getCode, uiParameters) => {
+    const group = uiParameters.paramsMap.group;
+    if (group) {
+        if (!groups.hasOwnProperty(group)) {
+            groups[group] = [];
+        }
+        const order = uiParameters.paramsMap['cell-order'];
+        const cells = groups[group];
+        cells.push({
+            getCode: getCode,
+            uiParameters: uiParameters,
+            order: order === null || isNaN(order) ? cells.length : order
+        });
+    }
+};
+
+/**
+ * Return the code of all the cells in the given cell's group that precede it,
+ * each with its own code mapper, prefix and suffix applied, followed by code
+ * to print a separator line if the language supports it (see
+ * removeEarlierOutput).
+ * @param {Object} uiParameters The parameters of the cell being run.
+ * @param {string} lang The language in which the code will be run.
+ * @returns {string} The code to be inserted before the cell's own code.
+ */
+export const getEarlierCode = (uiParameters, lang) => {
+    const group = uiParameters.paramsMap.group;
+    if (!group || !groups.hasOwnProperty(group)) {
+        return '';
+    }
+    const cells = groups[group];
+    const thisCell = cells.find(cell => cell.uiParameters === uiParameters);
+    const earlierCells = cells.filter(cell => cell.order < thisCell.order)
+        .sort((cell1, cell2) => cell1.order - cell2.order);
+    if (earlierCells.length === 0) {
+        return '';
+    }
+    let code = '';
+    for (const cell of earlierCells) {
+        code += cellCode(cell);
+        if (!code.endsWith('\n')) {
+            code += '\n';
+        }
+    }
+    return code + (PRINT_SEPARATOR[lang] || '');
+};
+
+/**
+ * Remove from the output of a run of a cell in a group all the output of the
+ * earlier cells in the group, i.e. everything up to and including the
+ * separator line. If there is no separator line (because the language isn't
+ * supported, or the earlier cells failed) the output is returned unchanged.
+ * @param {string} output The output from the run.
+ * @param {Object} uiParameters The parameters of the cell that was run.
+ * @returns {string} The output from the cell that was run.
+ */
+export const removeEarlierOutput = (output, uiParameters) => {
+    const marker = SEPARATOR + '\n';
+    const index = uiParameters.paramsMap.group ? output.indexOf(marker) : -1;
+    return index === -1 ? output : output.substring(index + marker.length);
+};
+
+/**
+ * Return the code of the given cell, with its code mapper, prefix and suffix applied.
+ * @param {object} cell The cell, as recorded by registerCell.
+ * @returns {string} The code of the cell.
+ */
+const cellCode = (cell) => {
+    const params = cell.uiParameters.paramsMap;
+    let code = cell.getCode();
+    const mapFunc = params['code-mapper'];
+    if (mapFunc in globalThis) {
+        code = globalThis[mapFunc](code);
+    }
+    return params.prefix + code + params.suffix;
+};
@@ -0,0 +1,184 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for showing the user's changes to the author's original code,
+ * with buttons to revert individual changes.
+ *
+ * @module     filter_ace_inline/local/code_changes
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {createComponent, escapeHtml, getLangString} from "filter_ace_inline/local/utils";
+import {diffLines} from "filter_ace_inline/local/output_check";
+
+/**
+ * Add a "Show my changes" button to the given div, which toggles a panel
+ * (inserted after the div) that shows the differences between the original
+ * code and the code in the editor, kept up to date as the user edits.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {function} getOriginal A function that returns the author's original
+ * code (which depends on the language, if the user can choose it).
+ * @param {html_element} buttonDiv The div to which the button is to be added.
+ */
+export const addChangesView = async(editor, getOriginal, buttonDiv) => {
+    const showLabel = await getLangString('changes_show');
+    const hideLabel = await getLangString('changes_hide');
+    const button = createComponent('button', ['btn', 'btn-secondary', 'btn-ace-inline-changes'],
+        {'type': 'button', 'aria-expanded': 'false'});
+    button.innerHTML = showLabel;
+    const panel = createComponent('div', ['filter-ace-inline-changes'], {'hidden': '1'});
+    buttonDiv.append(button);
+    buttonDiv.after(panel);
+
+    const session = editor.getSession();
+    const refresh = () => displayChanges(panel, editor, getOriginal());
+    button.addEventListener('click', () => {
+        const isShown = panel.hidden;
+        panel.hidden = !isShown;
+        button.innerHTML = isShown ? hideLabel : showLabel;
+        button.setAttribute('aria-expanded', isShown ? 'true' : 'false');
+        if (isShown) {
+            refresh();
+            session.on('change', refresh);
+        } else {
+            session.off('change', refresh);
+        }
+    });
+    panel.addEventListener('click', (event) => {
+        const revertButton = event.target.closest('button');
+        if (revertButton !== null) {
+            revertHunk(session, JSON.parse(revertButton.dataset.hunk));
+            editor.focus();
+        }
+    });
+};
+
+/**
+ * Return the changes between the two versions of the code, as a list of
+ * hunks, i.e. runs of consecutive changed lines.
+ * @param {string} original The original code.
+ * @param {string} current The current code.
+ * @returns {array} A list of objects with attributes start (the index of the
+ * first line of the hunk in the current code), removed (the original lines)
+ * and added (the current lines).
+ */
+const findHunks = (original, current) => {
+    const toLines = (code) => code.split('\n').map(line => ({line: line, key: line}));
+    const hunks = [];
+    let hunk = null;
+    let row = 0; // Index of the current line in the current code.
+    for (const line of diffLines(toLines(original), toLines(current))) {
+        if (line.type === 'same') {
+            hunk = null;
+            row += 1;
+            continue;
+        }
+        if (hunk === null) {
+            hunk = {start: row, removed: [], added: []};
+            hunks.push(hunk);
+        }
+        if (line.type === 'expected') {
+            hunk.removed.push(line.line);
+        } else {
+            hunk.added.push(line.line);
+            row += 1;
+        }
+    }
+    return hunks;
+};
+
+/**
+ * Display the changes between the original and current code in the given
+ * panel, as a list of hunks each with a header giving its line numbers,
+ * the removed and added lines, and a Revert button.
+ * @param {html_element} panel The div in which to display the changes.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {string} original The author's original code.
+ */
+const displayChanges = async(panel, editor, original) => {
+    const hunks = findHunks(original, editor.getSession().getValue());
+    const firstLineNumber = editor.getOption('firstLineNumber');
+    const offset = typeof firstLineNumber === 'number' ? firstLineNumber : 1;
+    const elements = [];
+    if (hunks.length === 0) {
+        const message = createComponent('p', [], {});
+        message.innerHTML = await getLangString('changes_none');
+        elements.push(message);
+    }
+    for (const hunk of hunks) {
+        const header = createComponent('div', ['filter-ace-inline-changes-header'], {});
+        const first = hunk.start + offset;
+        const last = first + hunk.added.length - 1;
+        let where = '';
+        if (hunk.added.length === 0 && hunk.start === 0) {
+            where = await getLangString('changes_deleted_before', first);
+        } else if (hunk.added.length === 0) {
+            where = await getLangString('changes_deleted', first - 1);
+        } else if (first === last) {
+            where = await getLangString('changes_line', first);
+        } else {
+            where = await getLangString('changes_lines', {first: first, last: last});
+        }
+        const revertButton = createComponent('button', ['btn', 'btn-link', 'btn-sm'],
+            {'type': 'button', 'data-hunk': JSON.stringify(hunk)});
+        revertButton.innerHTML = await getLangString('changes_revert');
+        header.innerHTML = escapeHtml(where);
+        header.append(revertButton);
+        const diff = createComponent('pre', ['filter-ace-inline-diff'], {});
+        for (const [type, lines, marker] of [['removed', hunk.removed, '-'], ['added', hunk.added, '+']]) {
+            for (const line of lines) {
+                const span = createComponent('span', ['filter-ace-inline-diff-' + type], {});
+                span.innerHTML = marker + ' ' + escapeHtml(line);
+                diff.append(span);
+            }
+        }
+        elements.push(header, diff);
+    }
+    panel.replaceChildren(...elements);
+};
+
+/**
+ * Revert the given hunk in the editor, i.e. replace its added lines with its
+ * removed lines. Only the hunk's lines are replaced, via the session's
+ * document, so that the rest of the document (e.g. its markers) is left
+ * alone and the user can undo it.
+ * @param {Ace-session} session The editor session.
+ * @param {object} hunk The hunk, as returned by findHunks.
+ */
+const revertHunk = (session, hunk) => {
+    const Range = globalThis.ace.require('ace/range').Range;
+    const doc = session.getDocument();
+    const end = hunk.start + hunk.added.length; // The row after the hunk.
+    if (end < doc.getLength()) {
+        // Replace whole lines, up to the start of the line after the hunk.
+        const text = hunk.removed.map(line => line + '\n').join('');
+        doc.replace(new Range(hunk.start, 0, end, 0), text);
+    } else if (hunk.start > 0) {
+        // The hunk is at the end, so replace from the end of the line before it.
+        const lastRow = doc.getLength() - 1;
+        const text = hunk.removed.map(line => '\n' + line).join('');
+        doc.replace(new Range(hunk.start - 1, doc.getLine(hunk.start - 1).length,
+            lastRow, doc.getLine(lastRow).length), text);
+    } else {
+        // The hunk is the whole document.
+        const lastRow = doc.getLength() - 1;
+        doc.replace(new Range(0, 0, lastRow, doc.getLine(lastRow).length), hunk.removed.join('\n'));
+    }
+    session.getSelection().moveCursorTo(hunk.start, 0);
+};
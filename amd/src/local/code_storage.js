@@ -0,0 +1,153 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for saving and restoring the user's edits to interactive code
+ * in the browser's local storage.
+ *
+ * @module     filter_ace_inline/local/code_storage
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const KEY_PREFIX = 'filter_ace_inline';
+const INTERACTIVE_SELECTOR = 'pre.ace-interactive-code, pre[data-ace-interactive-code], ' +
+    'code.ace-interactive-code, code[data-ace-interactive-code], ' +
+    'div.ace-interactive-project, div[data-ace-interactive-project]';
+const LOGOUT_LINK_SELECTOR = 'a[href*="/login/logout.php"]';
+
+let userId = 0; // The id of the logged-in user, whose code is stored.
+
+/**
+ * Set the user whose code is to be stored, and remove any code stored for
+ * other users, so that on a shared computer one user's code is never shown
+ * to the next user. The current user's code is removed when they log out
+ * with a logout link on the page.
+ * @param {int} currentUserId The id of the logged-in user.
+ */
+export const setUpStorage = (currentUserId) => {
+    userId = currentUserId;
+    removeCode((key) => !key.startsWith(userPrefix()));
+    document.addEventListener('click', (event) => {
+        if (event.target.closest(LOGOUT_LINK_SELECTOR) !== null) {
+            removeCode(() => true);
+        }
+    }, true);
+};
+
+/**
+ * Return the storage key for the given interactive element. The key is made
+ * from the user id, the context id, the page URL and either the element's
+ * explicit id (data-id attribute) or, failing that, a hash of the author's
+ * code together with the element's position amongst the interactive elements
+ * on the page with the same code, so that adding or removing other elements
+ * doesn't move the saved code into the wrong element.
+ * @param {HTMLelement} pre The pre element that the Ace editor is replacing
+ * (or the div of a multi-file project).
+ * @param {Object} uiParameters The UI parameters from the Pre element + defaults.
+ * @returns {string} The key under which the code is stored.
+ */
+export const getStorageKey = (pre, uiParameters) => {
+    let blockId = uiParameters.paramsMap.id;
+    if (!blockId) {
+        const blocks = Array.from(document.querySelectorAll(INTERACTIVE_SELECTOR))
+            .map(element => (element.tagName === 'CODE' ? element.parentNode : element))
+            .filter(element => element.textContent === pre.textContent);
+        blockId = 'code' + hashCode(pre.textContent) + '-' + blocks.indexOf(pre);
+    }
+    const page = globalThis.location.pathname + globalThis.location.search;
+    return [userPrefix(), M.cfg.contextid, page, blockId].join('/');
+};
+
+/**
+ * Return the code saved under the given key, or null if there is none or
+ * if it was saved from a different version of the author's original code.
+ * @param {string} key The storage key, from getStorageKey.
+ * @param {string} original The author's original code.
+ * @returns {string|null} The saved code, if any.
+ */
+export const loadCode = (key, original) => {
+    try {
+        const saved = JSON.parse(globalThis.localStorage.getItem(key));
+        if (saved !== null && saved.original === original) {
+            return saved.code;
+        }
+    } catch (error) {
+        // Storage unavailable or corrupted: behave as if nothing is saved.
+    }
+    return null;
+};
+
+/**
+ * Save the given code under the given key. Failures (e.g. storage disabled
+ * or full) are silently ignored since saving is just a convenience.
+ * @param {string} key The storage key, from getStorageKey.
+ * @param {string} original The author's original code.
+ * @param {string} code The user's current code.
+ */
+export const saveCode = (key, original, code) => {
+    try {
+        if (code === original) {
+            globalThis.localStorage.removeItem(key);
+        } else {
+            globalThis.localStorage.setItem(key, JSON.stringify({original: original, code: code}));
+        }
+    } catch (error) {
+        // Nothing we can do.
+    }
+};
+
+/**
+ * Return the start of all the storage keys for the current user.
+ * @returns {string} The start of the keys.
+ */
+const userPrefix = () => KEY_PREFIX + '/user' + userId + '/';
+
+/**
+ * Remove all the code stored by this plugin under the keys that satisfy
+ * the given condition.
+ * @param {function} isToBeRemoved A function that takes a key and returns
+ * true if the code stored under it is to be removed.
+ */
+const removeCode = (isToBeRemoved) => {
+    try {
+        const storage = globalThis.localStorage;
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key.startsWith(KEY_PREFIX + '/') && isToBeRemoved(key)) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => storage.removeItem(key));
+    } catch (error) {
+        // Storage unavailable: nothing is stored.
+    }
+};
+
+/**
+ * Return a (non-cryptographic) hash of the given text, as a hex string.
+ * @param {string} text The text.
+ * @returns {string} The hash.
+ */
+const hashCode = (text) => {
+    let hash = 0x811c9dc5; // 32-bit FNV-1a.
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+};
@@ -23,8 +23,16 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-import {createComponent} from "filter_ace_inline/local/utils";
-import {handleButtonClick, executeCode} from "filter_ace_inline/local/ace_interactive";
+import {createComponent, escapeHtml, getLangString} from "filter_ace_inline/local/utils";
+import {handleButtonClick, executeCode, executeTests, cancelRun, clearOutput, redisplayOutput, isSuccessfulRun,
+    RUN_COMPLETE_EVENT} from "filter_ace_inline/local/ace_interactive";
+import {registerCell} from "filter_ace_inline/local/cell_groups";
+import {createOutputButtons} from "filter_ace_inline/local/toolbar";
+
+let idCount = 0; // For generating unique element ids.
+
+// Dispatched from the element that each block was created from, once its API is available.
+const READY_EVENT = 'filter_ace_inline:ready';
 
 /**
  * Add a UI div containing a Try it! button and a paragraph to display the
@@ -36,8 +44,16 @@ import {handleButtonClick, executeCode} from "filter_ace_inline/local/ace_intera
  * @param {function} getCode A function that retrieves the code to be run.
  * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
  * Keys are button-name, lang, stdin, files, params, prefix, suffix, html-output.
+ * @param {function|null} resetCode If non-null, a function that restores the
+ * author's original code, in which case a Reset button is added, too.
+ * @param {function|null} setCode If non-null, a function that sets the code
+ * in the editor, used to restore the code of earlier runs from the history.
+ * It is given the code and the language in which it was run.
+ * @returns {html_element} The div containing the buttons, to which the caller
+ * may add more.
  */
-export const addUi = async(insertionPoint, getCode, uiParameters) => {
+export const addUi = async(insertionPoint, getCode, uiParameters, resetCode = null, setCode = null) => {
+    registerCell(getCode, uiParameters);
     // Create the button-node for execution.
     const button = createComponent('button', ['btn', 'btn-secondary', 'btn-ace-inline-execution'], {'type':
             'button'});
@@ -45,20 +61,215 @@ export const addUi = async(insertionPoint, getCode, uiParameters) => {
     // Create the div-node to contain pre-node.
     const buttonAndOutputDiv = createComponent("div", ['filter-ace-inline-ui-area'], {});
     const buttonDiv = document.createElement("div");
-    const outputDisplayArea = createComponent('div', ['filter-ace-inline-output-display'], {});
+    idCount += 1;
+    const outputId = 'filter-ace-inline-output-' + idCount;
+    const outputDisplayArea = createComponent('div', ['filter-ace-inline-output-display'],
+        {'id': outputId, 'role': 'region', 'aria-live': 'polite', 'aria-label': await getLangString('output_label')});
     // Create a pre-node to contain text.
     const outputTextArea = createComponent('pre', ['filter-ace-inline-output-text'], {});
+    button.setAttribute('aria-controls', outputId);
     buttonDiv.append(button);
+    if (resetCode !== null) {
+        const resetButton = createComponent('button', ['btn', 'btn-secondary', 'btn-ace-inline-reset'], {'type':
+                'button'});
+        resetButton.innerHTML = await getLangString('reset_button_label');
+        resetButton.addEventListener('click', resetCode);
+        buttonDiv.append(resetButton);
+    }
+    if (uiParameters.paramsMap['stdin-box'] !== null) {
+        buttonAndOutputDiv.append(await createStdinBox(uiParameters));
+    }
+    if (uiParameters.paramsMap.toolbar !== null) {
+        buttonDiv.append(await createOutputButtons(() => outputDisplayArea.innerText));
+    }
+    const runningIndicator = await createRunningIndicator();
+    const cancelButton = runningIndicator.querySelector('button');
+    // Screen reader announcement of the outcome of each run.
+    const runStatus = createComponent('span', ['sr-only'], {'role': 'status'});
+    buttonDiv.append(runningIndicator, runStatus);
     buttonAndOutputDiv.append(buttonDiv);
+    const history = [];
+    const historySize = uiParameters.paramsMap['history-size'];
+    const historyDiv = historySize > 0 ? await createHistorySelect() : null;
+    if (historyDiv !== null) {
+        buttonAndOutputDiv.append(historyDiv);
+    }
     outputDisplayArea.append(outputTextArea);
     buttonAndOutputDiv.append(outputDisplayArea);
     outputDisplayArea.style.display = 'none';
     insertionPoint.after(buttonAndOutputDiv);
-    button.addEventListener('click', async function() {
-        const code = await handleButtonClick(outputDisplayArea, getCode(), uiParameters);
-        // UI parameters get checked first; and if no error, then returns code.
-        if (code !== null) { // If there was an error.
-            executeCode(outputDisplayArea, code, uiParameters);
+    const setRunning = (isRunning) => {
+        button.disabled = isRunning;
+        runningIndicator.hidden = !isRunning;
+        outputDisplayArea.setAttribute('aria-busy', isRunning ? 'true' : 'false');
+        if (isRunning) {
+            runStatus.innerHTML = '';
+        }
+        if (historyDiv !== null) {
+            historyDiv.querySelector('select').disabled = isRunning;
         }
+    };
+    const runCode = async() => {
+        if (button.disabled) {
+            return; // Already running.
+        }
+        const runId = uiParameters.startRun();
+        let outcome = 'run_failed';
+        setRunning(true);
+        try {
+            const editorCode = getCode();
+            const code = await handleButtonClick(outputDisplayArea, editorCode, uiParameters);
+            if (!uiParameters.isCurrentRun(runId)) {
+                return; // Cancelled before the code was sent to the sandbox.
+            }
+            // UI parameters get checked first; and if no error, then returns code.
+            if (code === false) {
+                outcome = 'run_cancelled'; // Prevented by a page script.
+            } else if (code !== null && uiParameters.tests !== null) {
+                await executeTests(outputDisplayArea, code, uiParameters, runId);
+                outcome = 'run_complete';
+            } else if (code !== null) { // If there was an error.
+                const responseJson = await executeCode(outputDisplayArea, code, uiParameters, runId);
+                if (responseJson !== null && isSuccessfulRun(responseJson)) {
+                    outcome = 'run_complete';
+                }
+                if (responseJson !== null && historyDiv !== null) {
+                    history.unshift({
+                        code: editorCode,
+                        lang: uiParameters.paramsMap.lang,
+                        stdin: uiParameters.stdin,
+                        responseJson: responseJson,
+                        time: new Date(),
+                        succeeded: isSuccessfulRun(responseJson)
+                    });
+                    history.splice(historySize);
+                    updateHistorySelect(historyDiv, history);
+                }
+            }
+        } finally {
+            if (uiParameters.isCurrentRun(runId)) { // Not cancelled.
+                setRunning(false);
+                runStatus.innerHTML = await getLangString(outcome);
+            }
+        }
+    };
+    button.addEventListener('click', runCode);
+    cancelButton.addEventListener('click', async() => {
+        cancelRun(outputDisplayArea, uiParameters);
+        setRunning(false);
+        runStatus.innerHTML = await getLangString('run_cancelled');
     });
-};
\ No newline at end of file
+    if (historyDiv !== null) {
+        const historySelect = historyDiv.querySelector('select');
+        historySelect.addEventListener('change', () => {
+            const run = history[historySelect.value];
+            historySelect.value = ''; // Back to the placeholder, ready for next time.
+            if (run === undefined) {
+                return;
+            }
+            if (setCode !== null) {
+                setCode(run.code, run.lang);
+            }
+            if (uiParameters.stdinBox !== null) {
+                uiParameters.stdinBox.value = run.stdin;
+            }
+            redisplayOutput(outputDisplayArea, run.responseJson, uiParameters);
+        });
+    }
+
+    // Expose the block to page scripts via its original element (see README).
+    let lastResult = null;
+    uiParameters.pre.addEventListener(RUN_COMPLETE_EVENT, (event) => {
+        lastResult = event.detail;
+    });
+    uiParameters.pre.aceInline = {
+        getCode: getCode,
+        setCode: (code) => {
+            if (setCode !== null) {
+                setCode(code);
+            }
+        },
+        run: runCode,
+        clearOutput: () => {
+            clearOutput(outputDisplayArea, uiParameters);
+            setRunning(false);
+        },
+        getLastResult: () => lastResult
+    };
+    uiParameters.pre.dispatchEvent(new CustomEvent(READY_EVENT, {bubbles: true}));
+    return buttonDiv;
+};
+
+/**
+ * Create a (hidden) span containing a spinner, a "Running" message and a
+ * Cancel button, to be shown while a run is in progress.
+ * @returns {html_element} The span.
+ */
+const createRunningIndicator = async() => {
+    const indicator = createComponent('span', ['filter-ace-inline-running'], {'hidden': '1'});
+    const spinner = createComponent('span', ['spinner-border', 'spinner-border-sm'], {'aria-hidden': 'true'});
+    const message = createComponent('span', [], {});
+    message.innerHTML = await getLangString('running');
+    const cancelButton = createComponent('button', ['btn', 'btn-link', 'btn-ace-inline-cancel'], {'type':
+            'button'});
+    cancelButton.innerHTML = await getLangString('cancel_button_label');
+    indicator.append(spinner, message, cancelButton);
+    return indicator;
+};
+
+/**
+ * Create a (hidden) div containing a labelled dropdown from which the user
+ * can select one of the recent runs to restore its code and output.
+ * @returns {html_element} The div.
+ */
+const createHistorySelect = async() => {
+    idCount += 1;
+    const id = 'filter-ace-inline-history-' + idCount;
+    const historyDiv = createComponent('div', ['filter-ace-inline-history'], {'hidden': '1'});
+    const label = createComponent('label', [], {'for': id});
+    label.innerHTML = await getLangString('history_label');
+    const select = createComponent('select', ['custom-select', 'custom-select-sm'], {'id': id});
+    const placeholder = createComponent('option', [], {'value': ''});
+    placeholder.innerHTML = await getLangString('history_placeholder');
+    select.append(placeholder);
+    historyDiv.append(label, select);
+    return historyDiv;
+};
+
+/**
+ * Update the history dropdown to list the given runs, and show it.
+ * @param {html_element} historyDiv The div containing the dropdown.
+ * @param {array} history The recent runs, most recent first.
+ */
+const updateHistorySelect = async(historyDiv, history) => {
+    const select = historyDiv.querySelector('select');
+    const options = [select.options[0]]; // Keep the placeholder.
+    for (const [i, run] of history.entries()) {
+        const option = createComponent('option', [], {'value': i});
+        option.innerHTML = escapeHtml(await getLangString(run.succeeded ? 'history_run_ok' : 'history_run_failed',
+            run.time.toLocaleTimeString()));
+        options.push(option);
+    }
+    select.replaceChildren(...options);
+    historyDiv.removeAttribute('hidden');
+};
+
+/**
+ * Create a div containing a labelled textarea into which the user can type
+ * the standard input for the run, initialised to the 'stdin' attribute.
+ * @param {Object} uiParameters The various parameters (mostly attributes of the pre element).
+ * @returns {html_element} The div containing the label and textarea.
+ */
+const createStdinBox = async(uiParameters) => {
+    idCount += 1;
+    const id = 'filter-ace-inline-stdin-' + idCount;
+    const stdinDiv = createComponent('div', ['filter-ace-inline-stdin'], {});
+    const label = createComponent('label', [], {'for': id});
+    label.innerHTML = await getLangString('stdin_box_label');
+    const textarea = createComponent('textarea', ['form-control', 'filter-ace-inline-stdin-box'],
+        {'id': id, 'rows': 3, 'spellcheck': 'false'});
+    textarea.value = uiParameters.paramsMap.stdin;
+    stdinDiv.append(label, textarea);
+    uiParameters.setStdinBox(textarea);
+    return stdinDiv;
+};
@@ -0,0 +1,138 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for changing the size of an Ace editor: a full-screen mode for
+ * an interactive block and a drag handle for resizing the editor height.
+ *
+ * @module     filter_ace_inline/local/editor_size
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {createComponent, getLangString} from "filter_ace_inline/local/utils";
+
+const FULLSCREEN_CLASS = 'filter-ace-inline-fullscreen';
+const NOSCROLL_CLASS = 'filter-ace-inline-noscroll'; // Stops the page scrolling behind the overlay.
+const MIN_RESIZE_LINES = 2; // The editor can't be dragged smaller than this.
+
+/**
+ * If the given editor is in a block that is in full-screen mode, return the
+ * block to its normal layout, as its expand button would.
+ * @param {Ace-editor} editor The Ace editor.
+ * @returns {bool} True if the block was in full-screen mode.
+ */
+export const leaveFullScreen = (editor) => {
+    const block = editor.container.closest('.' + FULLSCREEN_CLASS);
+    if (block === null) {
+        return false;
+    }
+    block.querySelector('.btn-ace-inline-expand').click();
+    return true;
+};
+
+/**
+ * Create a button that switches the given block (the editor plus its output
+ * area) between its normal layout and a full-viewport overlay. Escape also
+ * leaves full-screen mode.
+ * @param {html_element} block The div containing the editor and its UI.
+ * @param {Ace-editor} editor The Ace editor in the block.
+ * @returns {html_element} The button.
+ */
+export const createExpandButton = async(block, editor) => {
+    const expandLabel = await getLangString('expand_button_label');
+    const collapseLabel = await getLangString('collapse_button_label');
+    const button = createComponent('button', ['btn', 'btn-secondary', 'btn-ace-inline-expand'],
+        {'type': 'button', 'aria-pressed': 'false'});
+    button.innerHTML = expandLabel;
+    let savedLayout = null; // The editor's layout before going full screen.
+
+    const setFullScreen = (isFullScreen) => {
+        block.classList.toggle(FULLSCREEN_CLASS, isFullScreen);
+        document.body.classList.toggle(NOSCROLL_CLASS, isFullScreen);
+        button.innerHTML = isFullScreen ? collapseLabel : expandLabel;
+        button.setAttribute('aria-pressed', isFullScreen ? 'true' : 'false');
+        if (isFullScreen) {
+            // Stop Ace sizing the editor to its content so it fills the overlay.
+            savedLayout = {
+                maxLines: editor.getOption('maxLines'),
+                height: editor.container.style.height
+            };
+            editor.setOption('maxLines', null);
+            editor.container.style.height = '';
+        } else {
+            editor.container.style.height = savedLayout.height;
+            editor.setOption('maxLines', savedLayout.maxLines);
+        }
+        editor.resize(true);
+        editor.focus();
+    };
+
+    button.addEventListener('click', () => {
+        setFullScreen(!block.classList.contains(FULLSCREEN_CLASS));
+    });
+    block.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && block.classList.contains(FULLSCREEN_CLASS)) {
+            setFullScreen(false);
+            button.focus();
+        }
+    });
+    return button;
+};
+
+/**
+ * Add a handle below the given editor that the user can drag (or move with
+ * the up and down arrow keys) to change the height of the editor. Once the
+ * editor has been resized, it no longer grows to fit its content.
+ * @param {Ace-editor} editor The Ace editor.
+ */
+export const addResizeHandle = async(editor) => {
+    const editNode = editor.container;
+    const handle = createComponent('div', ['filter-ace-inline-resize-handle'],
+        {'role': 'separator', 'aria-orientation': 'horizontal', 'tabindex': '0'});
+    handle.setAttribute('aria-label', await getLangString('resize_handle_label'));
+    editNode.after(handle);
+
+    const setHeight = (height) => {
+        const minHeight = MIN_RESIZE_LINES * editor.renderer.lineHeight;
+        editor.setOption('maxLines', null);
+        editNode.style.height = Math.max(height, minHeight) + 'px';
+        editor.resize(true);
+    };
+
+    handle.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        const startY = event.clientY;
+        const startHeight = editNode.offsetHeight;
+        const onMove = (moveEvent) => setHeight(startHeight + moveEvent.clientY - startY);
+        const onUp = () => {
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onUp);
+            handle.releasePointerCapture(event.pointerId);
+        };
+        handle.setPointerCapture(event.pointerId);
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onUp);
+    });
+    handle.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            const step = event.key === 'ArrowUp' ? -editor.renderer.lineHeight : editor.renderer.lineHeight;
+            setHeight(editNode.offsetHeight + step);
+        }
+    });
+};
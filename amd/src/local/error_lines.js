@@ -0,0 +1,169 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for finding the line numbers in compiler and runtime error
+ * messages and marking the corresponding lines in the Ace editor.
+ *
+ * @module     filter_ace_inline/local/error_lines
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {BEFORE_RUN_EVENT, RUN_COMPLETE_EVENT} from "filter_ace_inline/local/ace_interactive";
+
+// A gcc, g++ or javac message, e.g. "prog.c:5:10: error: expected ';'".
+// The groups are the file, line, column (gcc only), severity and message.
+const COMPILER_MESSAGE = /^([^\s:]+):(\d+):(?:(\d+):)?\s*(fatal error|error|warning):\s*(.*)$/;
+
+// A line of a Python traceback, e.g. 'File "prog.py", line 3, in f'.
+const PYTHON_FRAME = /^\s*File "([^"]+)", line (\d+)/;
+
+// A line of a Node or Java stack trace, e.g. "at f (/home/jobe/runs/jobe_x/prog.js:3:9)",
+// "at Prog.main(Prog.java:5)", or the first line of a Node error, e.g. "/home/jobe/runs/jobe_x/prog.js:3".
+// The groups are the file, line and (Node only) column.
+const STACK_FRAMES = [
+    /^\s*at (?:.*? \()?([^\s()]+\.[cm]?js):(\d+):(\d+)\)?$/,
+    /^\s*at \S+\(([^\s()]+\.java):(\d+)\)$/,
+    /^(\S+\.[cm]?js):(\d+)$/
+];
+
+// The line of a traceback that gives the exception, e.g. "ZeroDivisionError: division by zero"
+// or 'Exception in thread "main" java.lang.ArithmeticException: / by zero'.
+const EXCEPTION_MESSAGE = /^(?:Exception in thread "[^"]*" )?[\w.$]*(?:Error|Exception|Interrupt)(?::.*)?$/;
+
+// Files in these locations are library code, not the user's code.
+const LIBRARY_FILE = /^<|^node:|\/usr\/|\/lib\/|node_modules/;
+
+/**
+ * Mark the lines of the editor's code that are referred to by the compiler
+ * or runtime error messages of each run with a gutter annotation (whose
+ * tooltip is the message) and an underline. The marks are removed when the
+ * code is next edited or run.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {Object} uiParameters The UI parameters for the editor.
+ * @param {array} otherFiles The names of the other files of a multi-file
+ * project, whose errors aren't in the editor's code.
+ */
+export const setUpErrorLines = (editor, uiParameters, otherFiles = []) => {
+    const session = editor.getSession();
+    const Range = globalThis.ace.require('ace/range').Range;
+    let markerIds = [];
+    let codeAtRun = null; // The editor's code when the run started.
+
+    const clearMarks = () => {
+        session.clearAnnotations();
+        markerIds.forEach(id => session.removeMarker(id));
+        markerIds = [];
+    };
+
+    session.on('change', () => {
+        if (markerIds.length > 0) {
+            clearMarks();
+        }
+    });
+    uiParameters.pre.addEventListener(BEFORE_RUN_EVENT, () => {
+        clearMarks();
+        codeAtRun = session.getValue();
+    });
+    uiParameters.pre.addEventListener(RUN_COMPLETE_EVENT, (event) => {
+        const response = event.detail.response;
+        if (response === null) {
+            return; // A run of tests.
+        }
+        const offset = uiParameters.codeOffset !== null ? uiParameters.codeOffset
+            : lineOffset(event.detail.code, codeAtRun, uiParameters.paramsMap.prefix);
+        const annotations = [];
+        for (const error of findErrorLines(response.cmpinfo + '\n' + response.stderr, otherFiles)) {
+            const row = error.line - 1 - offset;
+            if (row < 0 || row >= session.getLength() || annotations.some(annotation => annotation.row === row)) {
+                continue; // Not in the editor's code, or already marked.
+            }
+            const column = error.column === null ? 0 : Math.min(error.column, session.getLine(row).length);
+            annotations.push({row: row, column: column, text: error.text, type: error.type});
+            const range = new Range(row, column, row, session.getLine(row).length);
+            markerIds.push(session.addMarker(range, 'filter-ace-inline-' + error.type + '-line', 'text'));
+        }
+        session.setAnnotations(annotations);
+    });
+};
+
+/**
+ * Return the number of lines in the code that was run before the first line
+ * of the editor's code, found by searching for the editor's code in it. This
+ * is only used if the number isn't known because a page script changed the
+ * code to be run. If the editor's code can't be found, only the prefix is
+ * assumed to come before it.
+ * @param {string} runCode The code that was run.
+ * @param {string} editorCode The editor's code.
+ * @param {string} prefix The prefix attribute.
+ * @returns {int} The number of lines.
+ */
+const lineOffset = (runCode, editorCode, prefix) => {
+    const index = editorCode === '' ? -1 : runCode.indexOf(editorCode);
+    const before = index >= 0 ? runCode.substring(0, index) : prefix;
+    return before.split('\n').length - 1;
+};
+
+/**
+ * Return the errors and warnings in the user's code given by the compiler
+ * messages, Python traceback or Node or Java stack trace in the given text.
+ * For a traceback or stack trace, only the innermost line of the user's code
+ * is returned, with the exception as its message.
+ * @param {string} text The compiler and error output of a run.
+ * @param {array} otherFiles The names of files whose errors are to be ignored.
+ * @returns {array} A list of objects with attributes line (the line number
+ * in the code that was run), column (zero-based, or null if not known),
+ * text (the message) and type ('error' or 'warning').
+ */
+const findErrorLines = (text, otherFiles) => {
+    const isUserFile = (file) => !LIBRARY_FILE.test(file) && !otherFiles.includes(file.split('/').pop());
+    const errors = [];
+    const frames = [];
+    let isPython = false;
+    let exception = '';
+    for (const line of text.split('\n')) {
+        const message = line.match(COMPILER_MESSAGE);
+        if (message !== null) {
+            if (isUserFile(message[1])) {
+                errors.push({
+                    line: parseInt(message[2]),
+                    column: message[3] ? parseInt(message[3]) - 1 : null,
+                    text: message[4] + ': ' + message[5],
+                    type: message[4] === 'warning' ? 'warning' : 'error'
+                });
+            }
+            continue;
+        }
+        let frame = line.match(PYTHON_FRAME);
+        isPython = isPython || frame !== null;
+        for (const pattern of STACK_FRAMES) {
+            frame = frame || line.match(pattern);
+        }
+        if (frame !== null && isUserFile(frame[1])) {
+            frames.push({line: parseInt(frame[2]), column: frame[3] ? parseInt(frame[3]) - 1 : null});
+        } else if (EXCEPTION_MESSAGE.test(line.trim())) {
+            exception = line.trim();
+        }
+    }
+    if (frames.length > 0) {
+        // Python tracebacks list the innermost call last, stack traces list it first.
+        const frame = isPython ? frames[frames.length - 1] : frames[0];
+        errors.push({line: frame.line, column: frame.column, text: exception, type: 'error'});
+    }
+    return errors;
+};
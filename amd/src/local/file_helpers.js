@@ -23,10 +23,10 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-import {createComponent, getLangString} from "filter_ace_inline/local/utils";
+import {createComponent, escapeHtml, getLangString} from "filter_ace_inline/local/utils";
 
 let uploadFiles = {};
-const MAX_FILE_SIZE_BYTES = 2097152;
+const BYTES_PER_KB = 1024;
 
 /**
  * Gets the uiParameter 'file-taids' and parses it if it is JSON. Promises an
@@ -63,6 +63,13 @@ export const getFiles = async(uiParameters) => {
         }
     }
 
+    // Merge in the current contents of the other files of a multi-file project.
+    for (const name in uiParameters.projectFiles) {
+        if (uiParameters.projectFiles.hasOwnProperty(name)) {
+            map[name] = uiParameters.projectFiles[name]();
+        }
+    }
+
     // Merge in any explicitly uploaded files with same id in map.
     for (const name in uploadFiles) {
         if (uploadFiles.hasOwnProperty(name) && uploadFiles[name].hasOwnProperty(uploadId)) {
@@ -77,84 +84,221 @@ export const getFiles = async(uiParameters) => {
 };
 
 /**
- * Set up an onchange handler for file uploads. When the user selects
- * a file, a FileReader is created to read the contents. While the read
- * is in progress, a data-busy attribute is set. When the read is complete
- * a data-file-contents object is defined to map name to contents.
- * @param {HTMLelement} uploadElementId The input element of type file.
+ * Set up the handling of file uploads via the given file input element. Below
+ * the element are added a zone onto which files can be dragged and dropped,
+ * as an alternative to the input element, and a list of the currently
+ * attached files, each of which can be removed or replaced individually.
+ * Newly selected files are added to the list, replacing any existing file
+ * of the same name. Text files are sent to the sandbox as is, binary files
+ * base64-encoded (see README).
+ * @param {string} uploadElementId The id of the input element of type file.
+ * @param {int} maxFileSize The maximum size of an uploaded file in bytes.
  */
-export const setupFileHandler = async(uploadElementId) => {
+export const setupFileHandler = async(uploadElementId, maxFileSize) => {
+    const element = document.querySelector('#' + uploadElementId);
+    if (element === null || element.hasAttribute('data-ace-inline-uploader')) {
+        return; // Bad id, or already set up for another code element.
+    }
+    element.setAttribute('data-ace-inline-uploader', '1');
+    element.setAttribute('multiple', '1'); // Workaround for the fact Moodle strips this.
+
     // Creates a div element to contain error messages and divs for error messages.
-    const errorNode = document.createElement("div", [], {'hidden': '1'});
+    const errorNode = createComponent("div", [], {'hidden': '1'});
     const errorHtml = createComponent("div", ['filter-ace-inline-files'], {'hidden': '1'});
     const fatalHtml = createComponent("div", ['filter-ace-inline-file-error'], {'hidden': '1'});
     errorNode.appendChild(fatalHtml);
     errorNode.appendChild(errorHtml);
+    const dropZone = createComponent('div', ['filter-ace-inline-dropzone'], {});
+    dropZone.innerHTML = await getLangString('file_drop_zone');
+    const fileList = createComponent('ul', ['filter-ace-inline-file-list'], {'hidden': '1'});
+    const replaceInput = createComponent('input', [], {'type': 'file', 'hidden': '1'});
+    element.after(dropZone, fileList, replaceInput, errorNode);
 
-    const element = document.querySelector('#' + uploadElementId);
-    element.parentNode.insertBefore(errorNode, element.nextSibling);
-    element.setAttribute('multiple', '1'); // Workaround for the fact Moodle strips this.
-    element.addEventListener('change', async() => {
+    const attachedFiles = {}; // Maps file name to {size, isBinary}.
+
+    // Adds the given files to the list. If nameToReplace is given, that file is
+    // removed from the list, but only once a new file has been read successfully.
+    const addFiles = async(files, nameToReplace = null) => {
         // Cleans the contents of the errors between uploads.
         errorHtml.innerHTML = '';
         fatalHtml.innerHTML = '';
-        uploadFiles = {};
-        const files = element.files;
+        let isReplaced = nameToReplace === null;
         for (const file of files) {
-            let fileValues = {};
-            const parsedName = parseFileName(file.name);
             // Parses and modifies name to make sure name is accepted by Jobe.
-            // Also checks file size and refuses to upload at maximum file size (2MB).
-            await readOneFile(file)
-                .then(result => {
-                    // A map for ids.
-                    if (parsedName !== file.name) {
-                        errorHtml.innerHTML = '<li><em>' + file.name + '</em><strong>&nbsp;&rArr;&nbsp;'
-                            + parsedName + '</strong></li>' + errorHtml.innerHTML;
-                        }
-                    fileValues[uploadElementId] = result;
-                    return null;
-                })
-                .catch(() => {
-                    fatalHtml.innerHTML = '<li><strong><em>' + file.name + '</em>&nbsp;'
-                        + '</strong></li>' + fatalHtml.innerHTML;
-                });
-            if (fileValues.size !== 0) {
-                // Maps the name with the filevalue map of id to value.
-                uploadFiles[parsedName] = fileValues;
+            // Also checks file size and refuses to upload files larger than the maximum.
+            const parsedName = parseFileName(file.name);
+            let result = null;
+            try {
+                result = await readOneFile(file, maxFileSize);
+            } catch (error) {
+                fatalHtml.innerHTML = '<li><strong><em>' + escapeHtml(file.name) + '</em>&nbsp;'
+                    + '</strong></li>' + fatalHtml.innerHTML;
+                continue;
+            }
+            if (!isReplaced) {
+                removeFile(nameToReplace);
+                isReplaced = true;
+            }
+            if (parsedName !== file.name) {
+                errorHtml.innerHTML = '<li><em>' + escapeHtml(file.name) + '</em><strong>&nbsp;&rArr;&nbsp;'
+                    + parsedName + '</strong></li>' + errorHtml.innerHTML;
+            }
+            if (!uploadFiles.hasOwnProperty(parsedName)) {
+                uploadFiles[parsedName] = {}; // A map for ids.
+            }
+            uploadFiles[parsedName][uploadElementId] = result.contents;
+            attachedFiles[parsedName] = {size: file.size, isBinary: result.isBinary};
+        }
+        displayAllFileErrors(errorNode, errorHtml, fatalHtml, maxFileSize);
+        await displayFileList(fileList, attachedFiles);
+    };
+
+    const removeFile = (name) => {
+        delete attachedFiles[name];
+        if (uploadFiles.hasOwnProperty(name)) {
+            delete uploadFiles[name][uploadElementId];
+            if (Object.keys(uploadFiles[name]).length === 0) {
+                delete uploadFiles[name];
             }
         }
-        displayAllFileErrors(errorNode, errorHtml, fatalHtml);
+    };
+
+    element.addEventListener('change', async() => {
+        await addFiles(element.files);
+        element.value = ''; // So that selecting the same file again is a change.
+    });
+
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('filter-ace-inline-dropzone-active');
+    });
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('filter-ace-inline-dropzone-active');
+    });
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('filter-ace-inline-dropzone-active');
+        addFiles(event.dataTransfer.files);
     });
+
+    let fileToReplace = null;
+    fileList.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (button === null) {
+            return;
+        }
+        const name = button.closest('li').dataset.filename;
+        if (button.dataset.action === 'remove') {
+            removeFile(name);
+            displayFileList(fileList, attachedFiles);
+        } else {
+            fileToReplace = name;
+            replaceInput.click();
+        }
+    });
+    replaceInput.addEventListener('change', async() => {
+        if (replaceInput.files.length > 0) {
+            await addFiles(replaceInput.files, fileToReplace);
+        }
+        replaceInput.value = '';
+    });
+};
+
+/**
+ * Display the list of attached files, with their sizes and buttons to
+ * remove or replace each of them. The list is hidden if there are none.
+ * @param {html_element} fileList The ul element for the list.
+ * @param {object} attachedFiles A map from file name to {size, isBinary}.
+ */
+const displayFileList = async(fileList, attachedFiles) => {
+    const items = [];
+    for (const name of Object.keys(attachedFiles).sort()) {
+        const item = createComponent('li', [], {'data-filename': name});
+        const description = createComponent('span', [], {});
+        description.innerHTML = escapeHtml(name) + ' (' + formatSize(attachedFiles[name].size)
+            + (attachedFiles[name].isBinary ? ', ' + await getLangString('file_binary') : '') + ')';
+        item.append(description);
+        for (const action of ['replace', 'remove']) {
+            const button = createComponent('button', ['btn', 'btn-link', 'btn-sm'],
+                {'type': 'button', 'data-action': action});
+            button.innerHTML = await getLangString('file_' + action);
+            button.setAttribute('aria-label', await getLangString('file_' + action + '_label', name));
+            item.append(button);
+        }
+        items.push(item);
+    }
+    fileList.replaceChildren(...items);
+    fileList.hidden = items.length === 0;
 };
 
 /**
  * Read a single file and return an appropriate promise of contents or rejects.
  * Checks file size prior to reading to prevent wasting time processing file.
+ * Files that are valid UTF-8 are returned as text, anything else is treated
+ * as binary and returned base64-encoded, since the sandbox web service can
+ * only transport text.
  * @param {file} file A file from an 'input type=file' element filelist.
- * @returns {Promise} A promise wrapping the given file's contents.
+ * @param {int} maxFileSize The maximum file size in bytes.
+ * @returns {Promise} A promise wrapping an object with attributes contents
+ * and isBinary.
  */
-const readOneFile = async(file) => {
-    if (file.size > MAX_FILE_SIZE_BYTES) {
-        return Promise.reject("excessive size");
+const readOneFile = async(file, maxFileSize) => {
+    if (file.size > maxFileSize) {
+        throw new Error('excessive size');
     }
-    return new Promise((resolve, reject) => {
+    const buffer = await new Promise((resolve, reject) => {
         let rdr = new FileReader();
         rdr.onload = () => {
           resolve(rdr.result);
         };
         rdr.onerror = reject;
-        rdr.readAsText(file);
+        rdr.readAsArrayBuffer(file);
     });
+    try {
+        const text = new TextDecoder('utf-8', {fatal: true}).decode(buffer);
+        return {contents: text, isBinary: false};
+    } catch (error) {
+        return {contents: base64Encode(new Uint8Array(buffer)), isBinary: true};
+    }
+};
+
+/**
+ * Return the base64 encoding of the given bytes.
+ * @param {Uint8Array} bytes The bytes to encode.
+ * @returns {string} The base64 encoding.
+ */
+const base64Encode = (bytes) => {
+    const CHUNK_SIZE = 0x8000; // Avoids exceeding the maximum number of function arguments.
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+    }
+    return btoa(binary);
+};
+
+/**
+ * Return a human-readable version of the given file size.
+ * @param {int} bytes The size in bytes.
+ * @returns {string} The size in bytes, KB or MB.
+ */
+const formatSize = (bytes) => {
+    if (bytes < BYTES_PER_KB) {
+        return bytes + ' bytes';
+    } else if (bytes < BYTES_PER_KB * BYTES_PER_KB) {
+        return Math.round(bytes / BYTES_PER_KB) + 'KB';
+    } else {
+        return Math.round(10 * bytes / (BYTES_PER_KB * BYTES_PER_KB)) / 10 + 'MB';
+    }
 };
 
 /**
  * Displays all file errors for each error.
  * @param {type} error The error langString to be used.
  * @param {type} errorHtml The errorNode for the error message to be displayed.
+ * @param {*} a An optional value to be plugged into the language string.
  */
-const displayFileError = async(error, errorHtml) => {
-    errorHtml.innerHTML = '<strong>' + await getLangString(error)
+const displayFileError = async(error, errorHtml, a = undefined) => {
+    errorHtml.innerHTML = '<strong>' + await getLangString(error, a)
         + '</strong><ul>' + errorHtml.innerHTML + '</ul>';
     errorHtml.removeAttribute('hidden');
 };
@@ -166,8 +310,9 @@ const displayFileError = async(error, errorHtml) => {
  * @param {Element} errorHtml The HTML to be displayed for errors.
  * @param {Element} fatalHtml The HTML to be displayed for errors that do not upload
  * files.
+ * @param {int} maxFileSize The maximum file size in bytes.
  */
-const displayAllFileErrors = (errorNode, errorHtml, fatalHtml) => {
+const displayAllFileErrors = (errorNode, errorHtml, fatalHtml, maxFileSize) => {
     // Hides all errors at first.
     errorHtml.setAttribute('hidden', '1');
     fatalHtml.setAttribute('hidden', '1');
@@ -176,7 +321,7 @@ const displayAllFileErrors = (errorNode, errorHtml, fatalHtml) => {
             displayFileError('file_changed_name', errorHtml);
         }
         if (fatalHtml.innerHTML !== '') {
-            displayFileError('file_not_uploaded', fatalHtml);
+            displayFileError('file_not_uploaded', fatalHtml, formatSize(maxFileSize));
         }
         errorNode.removeAttribute('hidden');
     } else {
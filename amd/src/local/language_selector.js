@@ -0,0 +1,108 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for the selector with which the user chooses the language of
+ * an interactive element that has a langs attribute.
+ *
+ * @module     filter_ace_inline/local/language_selector
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {loadCode, saveCode} from "filter_ace_inline/local/code_storage";
+import {aceModeName, createComponent, escapeHtml, getLangString} from "filter_ace_inline/local/utils";
+
+let selectorCount = 0; // For generating unique element ids.
+
+/**
+ * Create a labelled select element listing the languages the user can
+ * choose between. Choosing a language sets the language in which the code
+ * is run and the editor's syntax colouring. The code for the language
+ * previously chosen is kept, and the editor is given instead the user's
+ * code for the newly chosen language, if they have chosen it before, or
+ * else its starter code, if any (if there is none the code is left as it is).
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {Object} uiParameters The UI parameters for the editor, whose lang
+ * is updated whenever a language is chosen.
+ * @param {string|null} storageKey If non-null, the local storage key for the
+ * editor's code, under which (plus '/lang') the chosen language is saved, and
+ * from which it is restored now.
+ * @returns {object} An object with attributes element (the span containing
+ * the label and select element), reset (a function that restores the
+ * initial language, forgetting the code for all the other languages) and
+ * setLang (a function that sets the language without changing the code in
+ * the editor, which the caller is about to replace, e.g. with the code of a
+ * run from the history; the current code is kept for the current language).
+ */
+export const createLanguageSelector = async(editor, uiParameters, storageKey) => {
+    const params = uiParameters.paramsMap;
+    const initialLang = params.lang;
+    const langKey = storageKey === null ? null : storageKey + '/lang';
+    let codes = {}; // Maps each language the user has left to their code for it.
+
+    selectorCount += 1;
+    const selectId = 'filter-ace-inline-langs-' + selectorCount;
+    const span = createComponent('span', ['filter-ace-inline-langs'], {});
+    const label = createComponent('label', [], {'for': selectId});
+    label.innerHTML = await getLangString('language_label');
+    const select = createComponent('select', ['custom-select'], {'id': selectId});
+    for (const lang of uiParameters.langs) {
+        const option = createComponent('option', [], {'value': lang});
+        option.innerHTML = escapeHtml(lang);
+        select.append(option);
+    }
+    span.append(label, select);
+
+    const setLang = (lang) => {
+        params.lang = lang;
+        select.value = lang;
+        // The ace-lang attribute, if given, is for the initial language.
+        const aceLang = lang === initialLang && params['ace-lang'] ? params['ace-lang'] : lang;
+        editor.getSession().setMode('ace/mode/' + aceModeName(aceLang));
+        if (langKey !== null) {
+            saveCode(langKey, initialLang, lang);
+        }
+    };
+
+    select.addEventListener('change', () => {
+        const newLang = select.value;
+        const session = editor.getSession();
+        codes[params.lang] = session.getValue();
+        const code = newLang in codes ? codes[newLang] : uiParameters.starterCode[newLang];
+        setLang(newLang); // First, so that listeners to the session's change events see the new language.
+        if (code !== undefined) {
+            session.setValue(code);
+        }
+    });
+
+    const savedLang = langKey === null ? null : loadCode(langKey, initialLang);
+    setLang(uiParameters.langs.includes(savedLang) ? savedLang : initialLang);
+    return {
+        element: span,
+        reset: () => {
+            codes = {};
+            setLang(initialLang);
+        },
+        setLang: (lang) => {
+            if (lang !== params.lang && uiParameters.langs.includes(lang)) {
+                codes[params.lang] = editor.getSession().getValue();
+                setLang(lang);
+            }
+        }
+    };
+};
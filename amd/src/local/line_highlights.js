@@ -0,0 +1,130 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for highlighting the lines of code given by the author in the
+ * highlight-lines attribute.
+ *
+ * @module     filter_ace_inline/local/line_highlights
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const MARKER_CLASS = 'filter-ace-inline-line'; // Plus this followed by '-' and the style.
+const DEFAULT_STYLE = 'emphasis';
+
+// A line or range of lines with an optional style, e.g. "9", "3-5" or "3-5:added".
+const RANGE_PATTERN = /^(\d+)(?:\s*-\s*(\d+))?(?:\s*:\s*([A-Za-z][\w-]*))?$/;
+
+/**
+ * Add a full-width background marker to each of the lines of the given
+ * editor listed in the given highlight-lines attribute, e.g. "3-5,9" or
+ * "3-5:removed,6-8:added". Line numbers are as displayed, i.e. relative
+ * to the editor's first line number. Invalid ranges are ignored. Each
+ * highlight is anchored to its lines, so that it moves with them when lines
+ * are added or removed before it, grows or shrinks when lines are added or
+ * removed within it and disappears if all its lines are removed. When the
+ * whole document is replaced (e.g. when the code is reset or restored) the
+ * highlights are put back on the lines originally given.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {string} lines The value of the highlight-lines attribute.
+ * @param {int|null} firstLineNumber The number of the first line (the
+ * start-line-number attribute), or null if lines aren't numbered.
+ */
+export const highlightLines = (editor, lines, firstLineNumber) => {
+    const session = editor.getSession();
+    const doc = session.getDocument();
+    const Range = globalThis.ace.require('ace/range').Range;
+    const offset = firstLineNumber === null || isNaN(firstLineNumber) ? 1 : firstLineNumber;
+    // Each highlight has anchors at its start and its end (the start of the line after it, or the end of the document).
+    const highlights = parseLineRanges(lines).map(range => ({
+        first: range.first - offset,
+        last: range.last - offset,
+        classes: MARKER_CLASS + ' ' + MARKER_CLASS + '-' + range.style,
+        anchors: null
+    }));
+    if (highlights.length === 0) {
+        return;
+    }
+    let markerIds = [];
+    let isRefreshPending = false;
+
+    const refreshMarkers = () => {
+        isRefreshPending = false;
+        markerIds.forEach(id => session.removeMarker(id));
+        markerIds = [];
+        for (const highlight of highlights.filter(range => range.anchors !== null)) {
+            const [start, end] = highlight.anchors.map(anchor => anchor.getPosition());
+            const last = end.column === 0 && end.row > start.row ? end.row - 1 : end.row;
+            if (end.row > start.row || end.column > start.column) {
+                markerIds.push(session.addMarker(new Range(start.row, 0, last, 1), highlight.classes, 'fullLine'));
+            }
+        }
+    };
+
+    const placeAnchors = () => {
+        for (const highlight of highlights) {
+            if (highlight.anchors !== null) {
+                highlight.anchors.forEach(anchor => anchor.detach());
+            }
+            const first = Math.max(highlight.first, 0);
+            const last = Math.min(highlight.last, doc.getLength() - 1);
+            highlight.anchors = null;
+            if (first <= last) {
+                const end = last + 1 < doc.getLength() ? doc.createAnchor(last + 1, 0)
+                    : doc.createAnchor(last, doc.getLine(last).length);
+                end.$insertRight = true; // So text inserted at the end isn't included.
+                highlight.anchors = [doc.createAnchor(first, 0), end];
+            }
+        }
+        refreshMarkers();
+    };
+
+    const setValue = doc.setValue;
+    doc.setValue = (text) => {
+        setValue.call(doc, text);
+        placeAnchors();
+    };
+    // Anchors are updated after the session's change event, so refresh the markers later.
+    session.on('change', () => {
+        if (!isRefreshPending) {
+            isRefreshPending = true;
+            setTimeout(refreshMarkers, 0);
+        }
+    });
+    placeAnchors();
+};
+
+/**
+ * Parse the given list of lines and ranges of lines, as given in the
+ * highlight-lines (and locked-lines) attribute.
+ * @param {string} lineRanges The comma-separated list of lines and ranges.
+ * @returns {array} A list of objects with attributes first and last (the
+ * line numbers) and style (the name of the style).
+ */
+export const parseLineRanges = (lineRanges) => {
+    const ranges = [];
+    for (const part of lineRanges.split(',')) {
+        const match = part.trim().match(RANGE_PATTERN);
+        if (match !== null) {
+            const first = parseInt(match[1]);
+            const last = match[2] === undefined ? first : parseInt(match[2]);
+            ranges.push({first: first, last: last, style: match[3] === undefined ? DEFAULT_STYLE : match[3]});
+        }
+    }
+    return ranges;
+};
@@ -0,0 +1,223 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for locking lines of code in an editable Ace editor, so that
+ * the user can see but not change them.
+ *
+ * @module     filter_ace_inline/local/locked_lines
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {parseLineRanges} from "filter_ace_inline/local/line_highlights";
+
+const MARKER_CLASS = 'filter-ace-inline-locked-line';
+
+// A line that consists solely of a comment saying locked-start or locked-end,
+// in any of the common comment syntaxes, e.g. "# locked-start" or "/* locked-end */".
+const LOCK_MARKER = /^\s*(?:#|\/\/|--|%|;|\/\*|<!--|\(\*)\s*locked-(start|end)\s*(?:\*\/|-->|\*\))?\s*$/i;
+
+/**
+ * Remove the locked-start and locked-end marker lines from the given code.
+ * @param {string} code The author's code.
+ * @returns {object} An object with attributes code (the code without the
+ * marker lines) and rows (the zero-based numbers of the lines of that code
+ * that lie between a locked-start and a locked-end marker).
+ */
+export const extractLockMarkers = (code) => {
+    const lines = [];
+    const rows = [];
+    let isLocked = false;
+    for (const line of code.split('\n')) {
+        const marker = line.match(LOCK_MARKER);
+        if (marker !== null) {
+            isLocked = marker[1].toLowerCase() === 'start';
+        } else {
+            if (isLocked) {
+                rows.push(lines.length);
+            }
+            lines.push(line);
+        }
+    }
+    return {code: lines.join('\n'), rows: rows};
+};
+
+/**
+ * Return the zero-based numbers of the lines given by the locked-lines
+ * attribute. Lines outside the document are ignored.
+ * @param {string} lockedLines The attribute, e.g. "1-3,8".
+ * @param {int|null} firstLineNumber The number of the first line (the
+ * start-line-number attribute), or null if lines aren't numbered.
+ * @param {int} numRows The number of rows in the document.
+ * @returns {array} The row numbers.
+ */
+export const lockedRows = (lockedLines, firstLineNumber, numRows) => {
+    const offset = firstLineNumber === null || isNaN(firstLineNumber) ? 1 : firstLineNumber;
+    const rows = [];
+    for (const range of parseLineRanges(lockedLines)) {
+        const last = Math.min(range.last - offset, numRows - 1);
+        for (let row = Math.max(range.first - offset, 0); row <= last; row++) {
+            rows.push(row);
+        }
+    }
+    return rows;
+};
+
+/**
+ * Lock the given lines of the given editor's code. Every change to the
+ * document, whether from typing, pasting, dragging, autocompletion or undo,
+ * is checked and discarded if it would change a locked line, although new
+ * lines can be added before and after the locked lines. When the whole
+ * document is replaced (e.g. when the code is reset, restored from local
+ * storage or from the run history) the locked lines are found again in
+ * the new code by their content.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {array} rows The zero-based numbers of the lines to lock.
+ */
+export const setUpLockedLines = (editor, rows) => {
+    const session = editor.getSession();
+    const doc = session.getDocument();
+    const Range = globalThis.ace.require('ace/range').Range;
+    // Each region is a run of consecutive locked lines, with an anchor at the start of its first line.
+    const regions = groupRows(rows, doc.getLength()).map(([first, last]) => ({
+        lines: doc.getLines(first, last),
+        anchor: null
+    }));
+    if (regions.length === 0) {
+        return;
+    }
+    let isGuarded = true;
+    let markerIds = [];
+    let isRefreshPending = false;
+
+    const refreshMarkers = () => {
+        isRefreshPending = false;
+        markerIds.forEach(id => session.removeMarker(id));
+        markerIds = regions.filter(region => region.anchor !== null).map(region => {
+            const row = region.anchor.row;
+            return session.addMarker(new Range(row, 0, row + region.lines.length - 1, 1), MARKER_CLASS, 'fullLine');
+        });
+    };
+
+    const relocateRegions = () => {
+        let row = 0;
+        for (const region of regions) {
+            if (region.anchor !== null) {
+                region.anchor.detach();
+            }
+            const found = findLines(doc, region.lines, row);
+            region.anchor = found === -1 ? null : doc.createAnchor(found, 0);
+            row = found === -1 ? row : found + region.lines.length;
+        }
+        refreshMarkers();
+    };
+
+    const applyDelta = doc.applyDelta;
+    doc.applyDelta = (delta, doNotValidate) => {
+        if (!isGuarded || !regions.some(region => changesRegion(doc, region, delta))) {
+            applyDelta.call(doc, delta, doNotValidate);
+        }
+    };
+    const setValue = doc.setValue;
+    doc.setValue = (text) => {
+        isGuarded = false;
+        try {
+            setValue.call(doc, text);
+        } finally {
+            isGuarded = true;
+        }
+        relocateRegions();
+    };
+    // Anchors are updated after the session's change event, so refresh the markers later.
+    session.on('change', () => {
+        if (!isRefreshPending) {
+            isRefreshPending = true;
+            setTimeout(refreshMarkers, 0);
+        }
+    });
+    relocateRegions();
+};
+
+/**
+ * Group the given row numbers into runs of consecutive rows, ignoring any
+ * that are outside the document.
+ * @param {array} rows The row numbers, in any order.
+ * @param {int} numRows The number of rows in the document.
+ * @returns {array} A list of [first, last] pairs.
+ */
+const groupRows = (rows, numRows) => {
+    const sorted = [...new Set(rows)].filter(row => row >= 0 && row < numRows).sort((a, b) => a - b);
+    const groups = [];
+    for (const row of sorted) {
+        if (groups.length > 0 && groups[groups.length - 1][1] === row - 1) {
+            groups[groups.length - 1][1] = row;
+        } else {
+            groups.push([row, row]);
+        }
+    }
+    return groups;
+};
+
+/**
+ * Return the row at which the given lines occur in the document, searching
+ * from the given row.
+ * @param {Ace-document} doc The document.
+ * @param {array} lines The lines to find.
+ * @param {int} fromRow The row at which to start searching.
+ * @returns {int} The row, or -1 if the lines aren't found.
+ */
+const findLines = (doc, lines, fromRow) => {
+    for (let row = fromRow; row + lines.length <= doc.getLength(); row++) {
+        if (lines.every((line, i) => doc.getLine(row + i) === line)) {
+            return row;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Return true if applying the given delta to the document would change any
+ * of the lines in the given region. Inserting whole lines immediately
+ * before or after the region, or removing whole lines that adjoin it, is
+ * allowed.
+ * @param {Ace-document} doc The document.
+ * @param {object} region The region, with attributes lines and anchor.
+ * @param {object} delta The Ace delta, with attributes action, start, end and lines.
+ * @returns {bool} True if the delta changes the region.
+ */
+const changesRegion = (doc, region, delta) => {
+    if (region.anchor === null) {
+        return false;
+    }
+    const compare = (p, q) => p.row === q.row ? p.column - q.column : p.row - q.row;
+    const lastRow = region.anchor.row + region.lines.length - 1;
+    const start = {row: region.anchor.row, column: 0};
+    const end = {row: lastRow, column: doc.getLine(lastRow).length};
+    if (delta.action === 'insert') {
+        const position = delta.start;
+        const text = delta.lines.join('\n');
+        return !(compare(position, start) < 0 || compare(position, end) > 0 ||
+            (compare(position, start) === 0 && text.endsWith('\n')) ||
+            (compare(position, end) === 0 && compare(position, start) !== 0 && text.startsWith('\n')));
+    } else {
+        return !(compare(delta.end, start) < 0 || compare(delta.start, end) > 0 ||
+            (compare(delta.end, start) === 0 && delta.start.column === 0) ||
+            (compare(delta.start, end) === 0 && delta.end.row > end.row &&
+                delta.end.column === doc.getLine(delta.end.row).length));
+    }
+};
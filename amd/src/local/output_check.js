@@ -0,0 +1,146 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for comparing the output of a run with the expected output.
+ *
+ * @module     filter_ace_inline/local/output_check
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const MAX_DIFF_CELLS = 1000000; // The largest LCS table diffLines will build.
+
+/**
+ * Split the given text into lines for comparison purposes. Trailing white
+ * space on each line and trailing blank lines are always ignored.
+ * If ignoreWhitespace is true, all leading white space and blank lines are
+ * ignored, too, and internal runs of white space are treated as a single space.
+ * If ignoreCase is true, lines are converted to lower case.
+ * @param {string} text The text to be split.
+ * @param {bool} ignoreWhitespace True to ignore (most) white space differences.
+ * @param {bool} ignoreCase True to ignore differences in case.
+ * @returns {array} An array of {line, key} objects, where line is the original
+ * line and key is its normalised form, which is what gets compared.
+ */
+const normalisedLines = (text, ignoreWhitespace, ignoreCase) => {
+    let lines = text.replace(/\r\n/g, '\n').split('\n').map(line => {
+        let key = line.trimEnd();
+        if (ignoreWhitespace) {
+            key = key.trim().replace(/\s+/g, ' ');
+        }
+        if (ignoreCase) {
+            key = key.toLowerCase();
+        }
+        return {line: line, key: key};
+    });
+    if (ignoreWhitespace) {
+        lines = lines.filter(line => line.key !== '');
+    }
+    while (lines.length > 0 && lines[lines.length - 1].key === '') {
+        lines.pop();
+    }
+    return lines;
+};
+
+/**
+ * Compute a line-by-line diff of the two arrays of lines, using the classic
+ * longest-common-subsequence algorithm on the lines between any common
+ * leading and trailing lines. Also used for diffing code. If those lines
+ * are too many for the LCS table (MAX_DIFF_CELLS), they are reported
+ * instead as all the expected lines followed by all the actual lines, i.e.
+ * the diff just shows where the first mismatch is.
+ * @param {array} expected The normalised lines of the expected output.
+ * @param {array} got The normalised lines of the actual output.
+ * @returns {array} An array of {type, line} objects, where type is one of
+ * 'same', 'expected' (line is missing from the output) or 'got' (line is
+ * present in the output but wasn't expected).
+ */
+export const diffLines = (expected, got) => {
+    let start = 0;
+    while (start < expected.length && start < got.length && expected[start].key === got[start].key) {
+        start++;
+    }
+    let end = 0; // The number of common trailing lines.
+    while (end < expected.length - start && end < got.length - start &&
+            expected[expected.length - 1 - end].key === got[got.length - 1 - end].key) {
+        end++;
+    }
+    const same = (lines) => lines.map(line => ({type: 'same', line: line.line}));
+    const middleExpected = expected.slice(start, expected.length - end);
+    const middleGot = got.slice(start, got.length - end);
+    const middle = (middleExpected.length + 1) * (middleGot.length + 1) > MAX_DIFF_CELLS ?
+        middleExpected.map(line => ({type: 'expected', line: line.line}))
+            .concat(middleGot.map(line => ({type: 'got', line: line.line}))) :
+        lcsDiff(middleExpected, middleGot);
+    return same(got.slice(0, start)).concat(middle, same(got.slice(got.length - end)));
+};
+
+/**
+ * Compute a line-by-line diff of the two arrays of lines, using the classic
+ * longest-common-subsequence algorithm.
+ * @param {array} expected The normalised lines of the expected output.
+ * @param {array} got The normalised lines of the actual output.
+ * @returns {array} The diff, as returned by diffLines.
+ */
+const lcsDiff = (expected, got) => {
+    const n = expected.length;
+    const m = got.length;
+    const lcs = Array.from({length: n + 1}, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = expected[i].key === got[j].key ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && expected[i].key === got[j].key) {
+            diff.push({type: 'same', line: got[j].line});
+            i++;
+            j++;
+        } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            diff.push({type: 'expected', line: expected[i].line});
+            i++;
+        } else {
+            diff.push({type: 'got', line: got[j].line});
+            j++;
+        }
+    }
+    return diff;
+};
+
+/**
+ * Compare the actual output of a run with the expected output.
+ * @param {string} expected The expected output.
+ * @param {string} got The actual output.
+ * @param {bool} ignoreWhitespace True to ignore (most) white space differences.
+ * @param {bool} ignoreCase True to ignore differences in case.
+ * @returns {object} An object with attributes passed (a boolean) and diff,
+ * the line-by-line diff as returned by diffLines.
+ */
+export const checkOutput = (expected, got, ignoreWhitespace, ignoreCase) => {
+    const diff = diffLines(
+        normalisedLines(expected, ignoreWhitespace, ignoreCase),
+        normalisedLines(got, ignoreWhitespace, ignoreCase)
+    );
+    return {
+        passed: diff.every(line => line.type === 'same'),
+        diff: diff
+    };
+};
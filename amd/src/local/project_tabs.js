@@ -0,0 +1,135 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for the tabs of a multi-file project block, which has one tab
+ * and one Ace editor per file.
+ *
+ * @module     filter_ace_inline/local/project_tabs
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {createComponent, escapeHtml} from "filter_ace_inline/local/utils";
+
+// Ace modes for file extensions (default: the block's language).
+const EXTENSION_MODES = {
+    'c': 'c_cpp',
+    'h': 'c_cpp',
+    'cc': 'c_cpp',
+    'cpp': 'c_cpp',
+    'hpp': 'c_cpp',
+    'cs': 'csharp',
+    'css': 'css',
+    'csv': 'text',
+    'go': 'golang',
+    'hs': 'haskell',
+    'html': 'html',
+    'java': 'java',
+    'js': 'javascript',
+    'json': 'json',
+    'kt': 'kotlin',
+    'm': 'matlab',
+    'md': 'markdown',
+    'pas': 'pascal',
+    'php': 'php',
+    'pl': 'perl',
+    'py': 'python',
+    'r': 'r',
+    'rb': 'ruby',
+    'rs': 'rust',
+    'sh': 'sh',
+    'sql': 'sql',
+    'ts': 'typescript',
+    'txt': 'text',
+    'xml': 'xml'
+};
+
+let tabsCount = 0; // For generating unique element ids.
+
+/**
+ * Return the Ace mode for the given file, from its extension.
+ * @param {string} filename The name of the file.
+ * @param {string} defaultMode The mode to use if the extension isn't known.
+ * @returns {string} The Ace mode, e.g. ace/mode/java.
+ */
+export const fileMode = (filename, defaultMode) => {
+    const dot = filename.lastIndexOf('.');
+    const extension = dot === -1 ? '' : filename.substring(dot + 1).toLowerCase();
+    return extension in EXTENSION_MODES ? 'ace/mode/' + EXTENSION_MODES[extension] : defaultMode;
+};
+
+/**
+ * Create a tab list with a tab for each of the given files, and a tab panel
+ * for each, only one of which is shown at a time. The tabs can be selected
+ * with the mouse or with the arrow, Home and End keys.
+ * @param {array} filenames The names of the files.
+ * @param {int} selectedIndex The index of the tab to select initially.
+ * @param {function} onSelect A function to call with the index of the tab
+ * whenever a tab is selected.
+ * @returns {object} An object with attributes tabList (the tab list div) and
+ * panels (a list of the tab panel divs).
+ */
+export const createTabs = (filenames, selectedIndex, onSelect) => {
+    tabsCount += 1;
+    const idPrefix = 'filter-ace-inline-tab-' + tabsCount + '-';
+    const tabList = createComponent('div', ['filter-ace-inline-tabs'], {'role': 'tablist'});
+    const tabs = [];
+    const panels = [];
+    filenames.forEach((filename, i) => {
+        const tab = createComponent('button', ['filter-ace-inline-tab'], {
+            'type': 'button',
+            'role': 'tab',
+            'id': idPrefix + i,
+            'aria-controls': idPrefix + i + '-panel'
+        });
+        tab.innerHTML = escapeHtml(filename);
+        const panel = createComponent('div', ['filter-ace-inline-tab-panel'], {
+            'role': 'tabpanel',
+            'id': idPrefix + i + '-panel',
+            'aria-labelledby': idPrefix + i
+        });
+        tabs.push(tab);
+        panels.push(panel);
+    });
+
+    const select = (index) => {
+        tabs.forEach((tab, i) => {
+            tab.setAttribute('aria-selected', i === index ? 'true' : 'false');
+            tab.setAttribute('tabindex', i === index ? '0' : '-1');
+            tab.classList.toggle('active', i === index);
+            panels[i].hidden = i !== index;
+        });
+        onSelect(index);
+    };
+
+    tabs.forEach((tab, i) => {
+        tab.addEventListener('click', () => select(i));
+        tab.addEventListener('keydown', (event) => {
+            const moves = {'ArrowLeft': i - 1, 'ArrowRight': i + 1, 'Home': 0, 'End': tabs.length - 1};
+            if (event.key in moves) {
+                event.preventDefault();
+                const index = (moves[event.key] + tabs.length) % tabs.length;
+                select(index);
+                tabs[index].focus();
+            }
+        });
+    });
+    tabList.append(...tabs);
+    select(selectedIndex);
+    return {tabList: tabList, panels: panels};
+};
@@ -0,0 +1,86 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for choosing the light or dark Ace theme for each editor and
+ * re-theming the editors when the user's colour scheme changes.
+ *
+ * @module     filter_ace_inline/local/themes
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+const MOODLE_THEME_ATTRIBUTE = 'data-bs-theme'; // Set on the html element by themes with a dark mode.
+
+let themeUpdaters = []; // Functions to re-theme the editors that follow the colour scheme.
+let isWatching = false;
+
+/**
+ * Set the theme of the given editor according to its UI parameters and, if
+ * its dark-theme-mode is 1 ('sometimes'), keep it in step with the user's
+ * colour scheme from now on.
+ * @param {Ace-editor} editor The Ace editor.
+ * @param {Object} uiParameters The UI parameters for the editor.
+ */
+export const setUpTheme = (editor, uiParameters) => {
+    const darkMode = uiParameters.paramsMap['dark-theme-mode']; // 0, 1, 2 for never, sometimes, always
+    const updateTheme = () => {
+        const useDark = darkMode == 2 || (darkMode == 1 && prefersDark());
+        editor.setTheme('ace/theme/' + (useDark ? uiParameters.darkTheme : uiParameters.lightTheme));
+    };
+    updateTheme();
+    if (darkMode == 1) {
+        themeUpdaters.push({editor: editor, updateTheme: updateTheme});
+        watchColourScheme();
+    }
+};
+
+/**
+ * Return true if the user currently prefers a dark colour scheme. A colour
+ * scheme set by the Moodle theme takes precedence over the browser's
+ * prefers-color-scheme media query.
+ * @returns {bool} True if dark is preferred.
+ */
+const prefersDark = () => {
+    const moodleTheme = document.documentElement.getAttribute(MOODLE_THEME_ATTRIBUTE);
+    if (moodleTheme === 'dark' || moodleTheme === 'light') {
+        return moodleTheme === 'dark';
+    }
+    return globalThis.matchMedia ? globalThis.matchMedia(DARK_SCHEME_QUERY).matches : false;
+};
+
+/**
+ * Start listening (once only) for changes to the browser's or the Moodle
+ * theme's colour scheme, re-theming all the registered editors when it
+ * changes. Editors no longer in the document are forgotten.
+ */
+const watchColourScheme = () => {
+    if (isWatching) {
+        return;
+    }
+    isWatching = true;
+    const updateAll = () => {
+        themeUpdaters = themeUpdaters.filter(updater => updater.editor.container.isConnected);
+        themeUpdaters.forEach(updater => updater.updateTheme());
+    };
+    if (globalThis.matchMedia) {
+        globalThis.matchMedia(DARK_SCHEME_QUERY).addEventListener('change', updateAll);
+    }
+    const observer = new MutationObserver(updateAll);
+    observer.observe(document.documentElement, {attributes: true, attributeFilter: [MOODLE_THEME_ATTRIBUTE]});
+};
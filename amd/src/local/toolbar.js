@@ -0,0 +1,183 @@
+/**
+ * This file is part of Moodle - http:moodle.org/
+ *
+ * Moodle is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Moodle is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Moodle.  If not, see <http:www.gnu.org/licenses/>.
+ */
+
+/**
+ * JavaScript for the toolbar buttons that copy or download code and output.
+ *
+ * @module     filter_ace_inline/local/toolbar
+ * @copyright  Richard Lobb, Michelle Hsieh 2022
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {aceModeName, createComponent, getLangString} from "filter_ace_inline/local/utils";
+
+const MESSAGE_DISPLAY_MS = 2000; // How long to show the 'Copied' etc message.
+const DOWNLOAD_URL_LIFETIME_MS = 10000; // How long to keep the URL of a downloaded file.
+
+// File extensions for languages and Ace modes (default: txt).
+const FILE_EXTENSIONS = {
+    'c': 'c',
+    'cpp': 'cpp',
+    'c++': 'cpp',
+    'c_cpp': 'cpp',
+    'cs': 'cs',
+    'css': 'css',
+    'golang': 'go',
+    'haskell': 'hs',
+    'html': 'html',
+    'java': 'java',
+    'javascript': 'js',
+    'json': 'json',
+    'kotlin': 'kt',
+    'markdown': 'md',
+    'matlab': 'm',
+    'pascal': 'pas',
+    'perl': 'pl',
+    'php': 'php',
+    'python': 'py',
+    'r': 'r',
+    'ruby': 'rb',
+    'rust': 'rs',
+    'sh': 'sh',
+    'sql': 'sql',
+    'typescript': 'ts',
+    'xml': 'xml'
+};
+
+/**
+ * Create a toolbar with buttons to copy the code to the clipboard and to
+ * download it as a file.
+ * @param {function} getCode A function that retrieves the code.
+ * @param {function} getLang A function that retrieves the language of the
+ * code, used to choose the file extension.
+ * @returns {html_element} The toolbar div.
+ */
+export const createCodeToolbar = async(getCode, getLang) => {
+    const toolbar = createComponent('div', ['filter-ace-inline-toolbar'], {});
+    const message = createComponent('span', ['filter-ace-inline-toolbar-message'], {'aria-live': 'polite'});
+    toolbar.append(
+        await createToolbarButton('copy_code', () => copyText(getCode(), message)),
+        await createToolbarButton('download_code', () => downloadText(getCode(), 'code.' + fileExtension(getLang()), message)),
+        message
+    );
+    return toolbar;
+};
+
+/**
+ * Create a span with buttons to copy the output of a run to the clipboard and
+ * to download it as a file.
+ * @param {function} getOutput A function that retrieves the output text.
+ * @returns {html_element} The span.
+ */
+export const createOutputButtons = async(getOutput) => {
+    const buttons = createComponent('span', ['filter-ace-inline-toolbar'], {});
+    const message = createComponent('span', ['filter-ace-inline-toolbar-message'], {'aria-live': 'polite'});
+    buttons.append(
+        await createToolbarButton('copy_output', () => copyText(getOutput(), message)),
+        await createToolbarButton('download_output', () => downloadText(getOutput(), 'output.txt', message)),
+        message
+    );
+    return buttons;
+};
+
+/**
+ * Return the file extension to use for code in the given language. The
+ * language itself is tried first and then its Ace mode.
+ * @param {string} lang The language.
+ * @returns {string} The file extension, without the dot.
+ */
+const fileExtension = (lang) => {
+    const langName = lang.toLowerCase();
+    if (langName in FILE_EXTENSIONS) {
+        return FILE_EXTENSIONS[langName];
+    }
+    const mode = aceModeName(langName);
+    return mode in FILE_EXTENSIONS ? FILE_EXTENSIONS[mode] : 'txt';
+};
+
+/**
+ * Create a small toolbar button.
+ * @param {string} langStringName The language string for the button label.
+ * @param {function} action The function to call when the button is clicked.
+ * @returns {html_element} The button.
+ */
+const createToolbarButton = async(langStringName, action) => {
+    const button = createComponent('button', ['btn', 'btn-link', 'btn-sm', 'btn-ace-inline-toolbar'], {'type': 'button'});
+    button.innerHTML = await getLangString(langStringName);
+    button.addEventListener('click', action);
+    return button;
+};
+
+/**
+ * Copy the given text to the clipboard and say so in the message span.
+ * Falls back to the old execCommand method if the Clipboard API isn't
+ * available (e.g. on sites not served over https).
+ * @param {string} text The text to copy.
+ * @param {html_element} message The span in which to display the outcome.
+ */
+const copyText = async(text, message) => {
+    let copied = false;
+    try {
+        await navigator.clipboard.writeText(text);
+        copied = true;
+    } catch (error) {
+        const textarea = createComponent('textarea', [], {'readonly': '1'});
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.append(textarea);
+        textarea.select();
+        try {
+            copied = document.execCommand('copy');
+        } catch (fallbackError) {
+            copied = false;
+        }
+        textarea.remove();
+    }
+    showMessage(message, copied ? 'copied' : 'copy_failed');
+};
+
+/**
+ * Download the given text as a file with the given name and say so in the
+ * message span.
+ * @param {string} text The text to download.
+ * @param {string} filename The name of the file.
+ * @param {html_element} message The span in which to display the outcome.
+ */
+const downloadText = (text, filename, message) => {
+    const url = URL.createObjectURL(new Blob([text], {type: 'text/plain'}));
+    const link = createComponent('a', [], {'href': url, 'download': filename});
+    document.body.append(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download asynchronously, so free the URL later.
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+    showMessage(message, 'downloaded');
+};
+
+/**
+ * Display the given language string in the message span, briefly.
+ * @param {html_element} message The span.
+ * @param {string} langStringName The language string to display.
+ */
+const showMessage = async(message, langStringName) => {
+    message.innerHTML = await getLangString(langStringName);
+    clearTimeout(message.timer);
+    message.timer = setTimeout(() => {
+        message.innerHTML = '';
+    }, MESSAGE_DISPLAY_MS);
+};
@@ -23,9 +23,16 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import {parseAceOptions} from "filter_ace_inline/local/ace_options";
+
 const MIN_WINDOW_LINES = 1;
 const MAX_WINDOW_LINES = 50;
 const MAX_OUTPUT_LENGTH = 30000;
+const CLIENT_TIMEOUT_SECS = 60;
+const HISTORY_SIZE = 5;
+const MAX_FILE_SIZE_KB = 2048;
+const ACE_LIGHT_THEME = 'textmate';
+const ACE_DARK_THEME = 'tomorrow_night';
 
 // Ace highlight parameters.
 const ACE_HIGHLIGHT = {
@@ -34,10 +41,15 @@ const ACE_HIGHLIGHT = {
     'ace-lang': '',
     'font-size': '11pt',
     'start-line-number': null,
+    'highlight-lines': null,
     'min-lines': MIN_WINDOW_LINES,
     'max-lines': MAX_WINDOW_LINES,
     'readonly': true,
-    'dark-theme-mode': null
+    'dark-theme-mode': null,
+    'theme': null,
+    'ace-options': null,
+    'toolbar': null,
+    'resizable': null
 };
 
 // Ace interactive parameters.
@@ -45,24 +57,60 @@ const ACE_INTERACTIVE = {
     'class': 'ace_interactive_code',
     'lang': 'python3',
     'ace-lang': '',
+    'langs': null,
+    'starter-code': null,
     'font-size': '11pt',
     'hidden': false,
     'start-line-number': 1,
+    'highlight-lines': null,
     'button-name': 'Try it!',
     'readonly': null,
+    'locked-lines': null,
     'stdin': '',
     'stdin-taid': '',
+    'stdin-box': null,
     'file-taids': {},
     'file-upload-id': null,
     'prefix': '',
     'suffix': '',
     'params': '{"cputime": 5}',
     'code-mapper': null,
+    'output-mapper': null,
     'html-output': null,
+    'image-output': null,
+    'ansi-output': null,
+    'combined-output': null,
     'min-lines': MIN_WINDOW_LINES,
     'max-lines': MAX_WINDOW_LINES,
     'max-output-length': MAX_OUTPUT_LENGTH,
-    'dark-theme-mode': null
+    'dark-theme-mode': null,
+    'theme': null,
+    'ace-options': null,
+    'id': null,
+    'no-autosave': null,
+    'show-changes': null,
+    'expected-output': null,
+    'expected-taid': '',
+    'ignore-whitespace': null,
+    'ignore-case': null,
+    'tests': null,
+    'stop-on-error': null,
+    'group': null,
+    'cell-order': null,
+    'client-timeout': CLIENT_TIMEOUT_SECS,
+    'history-size': HISTORY_SIZE,
+    'toolbar': null,
+    'resizable': null
+};
+
+/**
+ * Return the given language name in the form used by Jobe, e.g. python3 for Python.
+ * @param {string} lang The language name.
+ * @returns {string} The normalised name.
+ */
+const normaliseLang = (lang) => {
+    const name = lang.trim().toLowerCase();
+    return name === 'python' ? 'python3' : name;
 };
 
 export class UiParameters {
@@ -74,7 +122,19 @@ export class UiParameters {
         this.stdin = '';
         this.files = null;
         this.htmlOutput = null;
+        this.codeOffset = null;
         this.sandboxParams = [];
+        this.expectedOutput = null;
+        this.tests = null;
+        this.stdinBox = null;
+        this.runId = 0;
+        this.lightTheme = ACE_LIGHT_THEME;
+        this.darkTheme = ACE_DARK_THEME;
+        this.maxFileSize = MAX_FILE_SIZE_KB * 1024; // In bytes.
+        this.aceOptions = {};
+        this.projectFiles = {};
+        this.langs = [];
+        this.starterCode = {};
     }
 
     /**
@@ -107,8 +167,16 @@ export class UiParameters {
                             break;
                         case 'min-lines':
                         case 'max-lines':
+                        case 'history-size':
                             value = parseInt(value);
                             break;
+                        case 'cell-order':
+                        case 'client-timeout':
+                            value = parseFloat(value);
+                            break;
+                        case 'ansi-output':
+                            value = !['0', 'false', 'no', 'off'].includes(value.toLowerCase());
+                            break;
                         case 'hidden':
                             value = true; // If the 'hidden' attribute exists, it's True!
                             break;
@@ -129,8 +197,42 @@ export class UiParameters {
         if (this.paramsMap['dark-theme-mode'] === null) {
             this.paramsMap['dark-theme-mode'] = config.dark_theme_mode; // 0, 1, 2 for never, sometimes, always
         }
+        // Sets ANSI output according to config if an interactive element doesn't say.
+        if (isInteractive && this.paramsMap['ansi-output'] === null) {
+            this.paramsMap['ansi-output'] = config.ansi_output == 1;
+        }
+        this.setThemes(config);
+        // The element's Ace options override the administrator's defaults.
+        this.aceOptions = {...parseAceOptions(config.ace_options), ...parseAceOptions(this.paramsMap['ace-options'])};
+        if (config.max_file_size) {
+            this.maxFileSize = config.max_file_size * 1024;
+        }
         // Extracts the Tiny Parameters out.
         this.extractTinyParams();
+        if (isInteractive) {
+            this.setLangs();
+        }
+    }
+
+    /**
+     * Set the names of the light and dark Ace themes, from the 'theme'
+     * attribute if given, else from the config, else the defaults. The
+     * attribute is either a single theme name, used in both light and dark
+     * mode, or a comma-separated light and dark pair.
+     * @param {array} config Config settings, including the light_theme and dark_theme.
+     */
+    setThemes(config) {
+        if (config.light_theme) {
+            this.lightTheme = config.light_theme;
+        }
+        if (config.dark_theme) {
+            this.darkTheme = config.dark_theme;
+        }
+        if (this.paramsMap.theme) {
+            const themes = this.paramsMap.theme.split(',').map(theme => theme.trim());
+            this.lightTheme = themes[0];
+            this.darkTheme = themes.length > 1 ? themes[1] : themes[0];
+        }
     }
 
     /**
@@ -143,6 +245,7 @@ export class UiParameters {
         splitClass.forEach((attribute) => {
             if (attribute.startsWith('language') && this.modifiedLang === false) {
                 this.paramsMap.lang = attribute.replace('language-', '');
+                this.modifiedLang = true; // The language was given, via the class.
             }
         });
         // Handle the one case of python3 in JOBE.
@@ -152,12 +255,46 @@ export class UiParameters {
     }
 
     /**
-     * Sets the uiParameter of stdin 'stdin-taid' which should be the id of an element.
+     * Sets the list of languages the user can choose between from 'langs', a
+     * comma-separated list, and the starter code for each of them from
+     * 'starter-code', a JSON object mapping languages to code. The initial
+     * language is 'lang' (or the language given by a TinyMCE language class)
+     * if it was given and is in the list, else the first language in the
+     * list. Invalid starter code is ignored.
+     */
+    setLangs() {
+        if (!this.paramsMap.langs) {
+            return;
+        }
+        const langs = this.paramsMap.langs.split(',').map(normaliseLang).filter(lang => lang !== '');
+        this.langs = [...new Set(langs)];
+        if (this.langs.length > 0 && (!this.modifiedLang || !this.langs.includes(this.paramsMap.lang))) {
+            this.paramsMap.lang = this.langs[0];
+        }
+        try {
+            const starterCode = JSON.parse(this.paramsMap['starter-code']);
+            if (starterCode !== null && typeof starterCode === 'object' && !Array.isArray(starterCode)) {
+                for (const lang in starterCode) {
+                    if (typeof starterCode[lang] === 'string') {
+                        this.starterCode[normaliseLang(lang)] = starterCode[lang];
+                    }
+                }
+            }
+        } catch (SyntaxError) {
+            this.starterCode = {};
+        }
+    }
+
+    /**
+     * Sets the uiParameter of stdin from the stdin box, if there is one, or
+     * 'stdin-taid' which should be the id of an element.
      */
     setStdin() {
         const taid = this.paramsMap['stdin-taid'];
         const stdin = this.paramsMap.stdin;
-        if (taid) {
+        if (this.stdinBox !== null) {
+            this.stdin = this.stdinBox.value;
+        } else if (taid) {
             const box = document.querySelector('#' + taid);
             // Handles invalid textarea names.
             if (box === null) {
@@ -172,6 +309,83 @@ export class UiParameters {
         }
     }
 
+    /**
+     * Sets the textarea, created for a 'stdin-box' element, from which stdin is read.
+     *
+     * @param {html_element} textarea The textarea.
+     */
+    setStdinBox(textarea) {
+        this.stdinBox = textarea;
+    }
+
+    /**
+     * Sets the expected output of the run from 'expected-taid', which should
+     * be the id of an element, or failing that from 'expected-output'. The
+     * expected output is null if there is no expected output and false if
+     * 'expected-taid' is not the id of an element.
+     */
+    setExpectedOutput() {
+        const taid = this.paramsMap['expected-taid'];
+        if (taid) {
+            const element = document.querySelector('#' + taid);
+            if (element === null) {
+                this.expectedOutput = false;
+            } else {
+                this.expectedOutput = 'value' in element ? element.value : element.textContent;
+            }
+        } else {
+            this.expectedOutput = this.paramsMap['expected-output'];
+        }
+    }
+
+    /**
+     * Sets the list of test cases from 'tests', which should be a JSON list
+     * of objects with optional attributes stdin, expected and files. The
+     * tests are null if there are none and false if 'tests' isn't a
+     * valid JSON list.
+     */
+    setTests() {
+        const tests = this.paramsMap.tests;
+        if (tests === null) {
+            this.tests = null;
+        } else {
+            try {
+                const testList = JSON.parse(tests);
+                this.tests = Array.isArray(testList) ? testList : false;
+            } catch (SyntaxError) {
+                this.tests = false;
+            }
+        }
+    }
+
+    /**
+     * Starts a new run, making any run already in progress stale.
+     *
+     * @returns {int} The id of the new run.
+     */
+    startRun() {
+        this.runId += 1;
+        return this.runId;
+    }
+
+    /**
+     * Cancels the run in progress, if any, making it stale.
+     */
+    cancelRun() {
+        this.runId += 1;
+    }
+
+    /**
+     * Checks whether the given run is still the current one, i.e. has not been
+     * cancelled or superseded by a newer run.
+     *
+     * @param {int} runId The id of the run, as returned by startRun.
+     * @returns {boolean} True if the run is current.
+     */
+    isCurrentRun(runId) {
+        return runId === this.runId;
+    }
+
     /**
      * Sets the uiParameter of files.
      *
@@ -181,6 +395,16 @@ export class UiParameters {
         this.files = files;
     }
 
+    /**
+     * Sets the files of a multi-file project, other than the main file, that
+     * are to be sent to the sandbox with each run.
+     *
+     * @param {object} projectFiles A map from file name to a function that returns the file's contents.
+     */
+    setProjectFiles(projectFiles) {
+        this.projectFiles = projectFiles;
+    }
+
     /**
      * Sets the execution language.
      *
@@ -190,6 +414,15 @@ export class UiParameters {
         this.execLang = lang;
     }
 
+    /**
+     * Sets the number of lines in the code to be run before the editor's code.
+     *
+     * @param {int|null} offset The number of lines, or null if not known.
+     */
+    setCodeOffset(offset) {
+        this.codeOffset = offset;
+    }
+
     /**
      * Sets HTML output.
      *
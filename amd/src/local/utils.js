@@ -26,20 +26,44 @@
 import {get_string as getString} from 'core/str';
 
 const RESULT_SUCCESS = 15; // Code for a correct Jobe run.
+const ACE_MODE_MAP = { // Ace modes for various languages (default: use language name).
+    'c': 'c_cpp',
+    'cpp': 'c_cpp',
+    'js': 'javascript',
+    'nodejs': 'javascript',
+    'c#': 'cs',
+    'octave': 'matlab',
+    'c++': 'c_cpp',
+    'python2': 'python',
+    'python3': 'python',
+    'markup': 'html'
+};
+const IMAGE_URI_PATTERN = /^data:image\/(png|jpeg|gif|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
 
 /**
  * Get the specified language string and return a promise with the respective
  * language string output.
  * @param {string} langStringName The language string name.
  * should be plugged.
+ * @param {*} a An optional value to be plugged into the language string.
  * @returns {string} Promise with the language string output.
  */
-export const getLangString = async(langStringName) =>
-    getString(langStringName, 'filter_ace_inline')
+export const getLangString = async(langStringName, a = undefined) =>
+    getString(langStringName, 'filter_ace_inline', a)
     .catch(() => {
         return undefined;
     });
 
+/**
+ * Return the name of the Ace mode to use for the given language.
+ * @param {string} lang The language, e.g. python3 or c.
+ * @returns {string} The name of the Ace mode, e.g. python or c_cpp.
+ */
+export const aceModeName = (lang) => {
+    const aceLang = lang.toLowerCase();
+    return aceLang in ACE_MODE_MAP ? ACE_MODE_MAP[aceLang] : aceLang;
+};
+
 /**
  * Analyse the response for errors. There are two sorts of error: sandbox failures,
  * for which the field response.error is non-zero meaning the run didn't take
@@ -110,8 +134,38 @@ export const escapeHtml = (text) => {
  * @returns {String} The concatenated, truncated output.
  */
 export const combinedOutput = (response, maxLen) => {
-    const limit = s => s.length <= maxLen ? s : s.substr(0, maxLen) + '... (truncated)';
-    return response.cmpinfo + limit(response.output) + limit(response.stderr);
+    return response.cmpinfo + truncate(response.output, maxLen) + truncate(response.stderr, maxLen);
+};
+
+/**
+ * Truncates the given string to a given maximum length if necessary (in
+ * which case '... (truncated)' is appended).
+ * @param {string} s The string to be truncated.
+ * @param {int} maxLen The maximum length of the trimmed string.
+ * @returns {String} The truncated string.
+ */
+export const truncate = (s, maxLen) => s.length <= maxLen ? s : s.substr(0, maxLen) + '... (truncated)';
+
+/**
+ * Splits program output into text and images. Any line of the output that
+ * consists solely of a base64-encoded PNG, JPEG, GIF or SVG data URI, e.g.
+ * data:image/png;base64,iVBORw0KGgo... is taken to be an image.
+ * @param {string} output The program output.
+ * @returns {array} An array of strings of odd length, alternating between
+ * text (at even indices) and image data URIs (at odd indices). The text
+ * strings may be empty.
+ */
+export const splitImageOutput = (output) => {
+    const segments = [''];
+    const lines = output.split('\n');
+    lines.forEach((line, i) => {
+        if (IMAGE_URI_PATTERN.test(line.trim())) {
+            segments.push(line.trim(), '');
+        } else {
+            segments[segments.length - 1] += i < lines.length - 1 ? line + '\n' : line;
+        }
+    });
+    return segments;
 };
 
 
@@ -72,6 +72,7 @@ class text_filter extends \filter_ace_inline_base_text_filter {
      * @throws \dml_exception
      */
     public function filter($text, array $options = []) {
+        global $USER;
         $this->options = $options;
         // Basic test to avoid work.
         if (!is_string($text)) {
@@ -81,6 +82,12 @@ class text_filter extends \filter_ace_inline_base_text_filter {
         $config = [
             'button_label' => get_config('filter_ace_inline', 'button_label'),
             'dark_theme_mode' => get_config('filter_ace_inline', 'dark_theme_mode'),
+            'light_theme' => get_config('filter_ace_inline', 'light_theme'),
+            'dark_theme' => get_config('filter_ace_inline', 'dark_theme'),
+            'max_file_size' => get_config('filter_ace_inline', 'max_file_size'),
+            'ansi_output' => get_config('filter_ace_inline', 'ansi_output'),
+            'ace_options' => get_config('filter_ace_inline', 'ace_options'),
+            'user_id' => $USER->id,
         ];
         $this->do_ace_highlight($text, $config);
         $this->do_ace_interactive($text, $config);
@@ -120,7 +127,7 @@ class text_filter extends \filter_ace_inline_base_text_filter {
      * @return {string} The processed text
      */
     public function do_ace_interactive($text, $config) {
-        if (strpos($text, 'ace-interactive-code') !== false) {
+        if (strpos($text, 'ace-interactive-code') !== false || strpos($text, 'ace-interactive-project') !== false) {
             $this->page->requires->js_call_amd('filter_ace_inline/ace_inline_code',
                 'initAceInteractive', [$config]);
         }
@@ -30,6 +30,14 @@ $string['filtername'] = 'Ace inline';
 // Settings strings.
 $string['pluginname'] = 'Filter ace inline';
 $string['default_button_label'] = 'Try it!';
+$string['settings_ace_options'] = 'Default Ace editor options';
+$string['settings_ace_options_desc'] = 'A JSON object of Ace editor options to use for all editors, e.g.
+{"tabSize": 4, "useSoftTabs": true}. Individual instances can override these with the data-ace-options attribute.
+See the plugin\'s README for the allowed options. Invalid options are ignored.';
+$string['settings_ansi_output'] = 'Render ANSI colours in output';
+$string['settings_ansi_output_desc'] = 'If checked, the ANSI escape codes that programs use to colour and style
+terminal output are rendered in the output of interactive elements instead of being displayed as they are.
+Can be overridden by an individual instance.';
 $string['settings_button_label'] = 'Button label';
 $string['settings_button_label_desc'] = 'The label for the "Try it!" button that
     the user clicks to run the code';
@@ -40,17 +48,32 @@ $string['settings_dark_theme'] = 'Set when to use dark theme';
 $string['settings_dark_theme_desc'] = 'Select when to use a dark theme for Ace
 instead of the default light theme. Can be overridden by an individual instance.
 \'sometimes\' behaves according to the browser\'s response to the \'prefers-color-scheme:dark\' media query.';
+$string['settings_dark_theme_name'] = 'Dark theme';
+$string['settings_dark_theme_name_desc'] = 'The name of the Ace theme to use when a dark theme is required,
+e.g. tomorrow_night, monokai or dracula. Can be overridden by an individual instance.';
 $string['settings_desc'] = 'Change the settings for this filter.';
 $string['settings_heading'] = 'Ace inline filter settings';
+$string['settings_max_file_size'] = 'Maximum upload file size (KB)';
+$string['settings_max_file_size_desc'] = 'The maximum size in kilobytes of each file that a user can upload
+for use by interactive code. Note that the CodeRunner sandbox web service and the Jobe server may impose their own limits.';
+$string['settings_light_theme'] = 'Light theme';
+$string['settings_light_theme_desc'] = 'The name of the Ace theme to use when a light theme is required,
+e.g. textmate, github or solarized_light. Can be overridden by an individual instance.';
 
 // Error strings.
 $string['error_access_denied'] = 'Sandbox server access denied';
+$string['error_ace_not_loaded'] = 'The code editor could not be loaded, so this code is displayed as plain text.';
+$string['error_ace_not_loaded_interactive'] = 'The code editor could not be loaded, so this code is displayed as
+plain text and cannot be run.';
+$string['error_client_timeout'] = 'No response from the server after {$a} seconds';
 $string['error_element_unknown'] = 'Id not found for element';
 $string['error_excessive_output'] = 'Excessive output';
 $string['error_file_read'] = 'File not uploaded';
 $string['error_json_params'] = 'Params set are not in correct JSON format';
+$string['error_json_tests'] = 'Tests are not a list in correct JSON format';
 $string['error_jobe_unknown'] = 'Unknown error from Jobe server';
 $string['error_memory_limit'] = 'Memory limit exceeded';
+$string['error_output_mapper'] = 'Error in output mapper function';
 $string['error_sandbox_server_overload'] = 'Jobe server overload';
 $string['error_script_unknown'] = 'Mapped function was not found on page';
 $string['error_submission_limit_reached'] = 'Jobe sandbox submission limit reached';
@@ -59,9 +82,67 @@ $string['error_unknown_language'] = 'Unknown language requested';
 $string['error_unknown_runtime'] = 'Unknown runtime error';
 $string['error_user_params'] = 'Run Error';
 
+// User interface strings.
+$string['cancel_button_label'] = 'Cancel';
+$string['changes_deleted'] = 'Lines deleted after line {$a}';
+$string['changes_deleted_before'] = 'Lines deleted before line {$a}';
+$string['changes_hide'] = 'Hide my changes';
+$string['changes_line'] = 'Line {$a}';
+$string['changes_lines'] = 'Lines {$a->first} to {$a->last}';
+$string['changes_none'] = 'You have not changed the code.';
+$string['changes_revert'] = 'Revert';
+$string['changes_show'] = 'Show my changes';
+$string['collapse_button_label'] = 'Exit full screen';
+$string['copied'] = 'Copied';
+$string['copy_code'] = 'Copy code';
+$string['copy_failed'] = 'Copying failed';
+$string['copy_output'] = 'Copy output';
+$string['download_code'] = 'Download code';
+$string['download_output'] = 'Download output';
+$string['downloaded'] = 'Downloaded';
+$string['editor_label_highlight'] = 'Program code. Press Escape to leave the code.';
+$string['editor_label_interactive'] = 'Code editor. Press Control+Enter (Command+Enter on a Mac) to run the code
+and Escape to leave the editor.';
+$string['editor_label_project'] = 'Code editor for file {$a}. Press Control+Enter (Command+Enter on a Mac) to run
+the project and Escape to leave the editor.';
+$string['expand_button_label'] = 'Full screen';
+$string['history_label'] = 'Run history';
+$string['history_placeholder'] = 'Restore an earlier run...';
+$string['history_run_failed'] = '{$a} (failed)';
+$string['history_run_ok'] = '{$a} (succeeded)';
+$string['language_label'] = 'Language';
+$string['output_check_expected'] = 'Expected';
+$string['output_check_fail'] = 'Output does not match the expected output';
+$string['output_check_got'] = 'Got';
+$string['output_check_pass'] = 'Output is correct';
+$string['output_label'] = 'Program output';
+$string['reset_button_label'] = 'Reset to original';
+$string['resize_handle_label'] = 'Resize editor';
+$string['run_cancelled'] = 'Run cancelled';
+$string['run_complete'] = 'Run complete';
+$string['run_failed'] = 'Run failed';
+$string['running'] = 'Running...';
+$string['stdin_box_label'] = 'Standard input';
+$string['stream_compiler'] = 'Compiler output';
+$string['stream_error'] = 'Error output';
+$string['stream_output'] = 'Output';
+$string['tests_aborted'] = 'Testing was stopped after an error.';
+$string['tests_input'] = 'Input';
+$string['tests_summary'] = 'Passed {$a->passed} of {$a->total} tests.';
+
 // File handling strings.
 $string['file_changed_name'] = 'The following filenames have been changed for sandbox execution:';
-$string['file_not_uploaded'] = 'The following files have not been uploaded (max 2MB size):';
+$string['file_binary'] = 'binary';
+$string['file_drop_zone'] = 'Drag and drop files here to upload them';
+$string['file_not_uploaded'] = 'The following files have not been uploaded (max {$a} size):';
+$string['file_remove'] = 'Remove';
+$string['file_remove_label'] = 'Remove {$a}';
+$string['file_replace'] = 'Replace';
+$string['file_replace_label'] = 'Replace {$a}';
 
 // Privacy metadata.
-$string['privacy:metadata'] = 'The Ace-inline-filter is applied onto HTML and does not store any data.';
+$string['privacy:metadata'] = 'The Ace-inline-filter is applied onto HTML and does not store any data on the server.
+However, the changes a user makes to the code of interactive elements (and the language they choose, if they can
+choose one) are saved in their browser\'s local storage, on their own device, so that they are restored when the page
+is reloaded. The saved code is removed when the user logs out using a logout link on a page with interactive
+elements, or when another user views such a page in the same browser.';
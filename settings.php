@@ -47,6 +47,31 @@ if ($ADMIN->fulltree) {
         get_string('settings_dark_theme_desc', 'filter_ace_inline'),
         0, $darkoptions));
 
+    $settings->add(new admin_setting_configtext('filter_ace_inline/light_theme',
+            get_string('settings_light_theme', 'filter_ace_inline'),
+            get_string('settings_light_theme_desc', 'filter_ace_inline'),
+            'textmate', PARAM_ALPHANUMEXT));
+
+    $settings->add(new admin_setting_configtext('filter_ace_inline/dark_theme',
+            get_string('settings_dark_theme_name', 'filter_ace_inline'),
+            get_string('settings_dark_theme_name_desc', 'filter_ace_inline'),
+            'tomorrow_night', PARAM_ALPHANUMEXT));
+
+    $settings->add(new admin_setting_configtext('filter_ace_inline/max_file_size',
+            get_string('settings_max_file_size', 'filter_ace_inline'),
+            get_string('settings_max_file_size_desc', 'filter_ace_inline'),
+            2048, PARAM_INT));
+
+    $settings->add(new admin_setting_configtextarea('filter_ace_inline/ace_options',
+            get_string('settings_ace_options', 'filter_ace_inline'),
+            get_string('settings_ace_options_desc', 'filter_ace_inline'),
+            '', PARAM_RAW));
+
+    $settings->add(new admin_setting_configcheckbox('filter_ace_inline/ansi_output',
+            get_string('settings_ansi_output', 'filter_ace_inline'),
+            get_string('settings_ansi_output_desc', 'filter_ace_inline'),
+            0));
+
     $settings->add(new admin_setting_configtext('filter_ace_inline/button_label',
             get_string('settings_button_label', 'filter_ace_inline'),
             get_string('settings_button_label_desc', 'filter_ace_inline'),
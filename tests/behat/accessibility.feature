@@ -0,0 +1,42 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for keyboard and screen reader support
+  In order to let keyboard-only and screen reader users run code
+  As a teacher
+  I need interactive elements to be labelled and to announce the outcome of runs
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name              |
+      | Test questions   | description | accessibilitydemo |
+    And "accessibilitydemo.txt" exists in question "accessibilitydemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the editor, button and output area are labelled
+    When I am on the "accessibilitydemo" "core_question > preview" page logged in as teacher
+    Then "//textarea[starts-with(@aria-label, 'Code editor.')]" "xpath_element" should exist
+    And "//button[@aria-controls and @aria-keyshortcuts and contains(., 'working')]" "xpath_element" should exist
+    And "//div[@role='region' and @aria-live='polite' and @aria-label='Program output']" "xpath_element" should exist
+
+  Scenario: Checks that the outcome of a successful run is announced
+    When I am on the "accessibilitydemo" "core_question > preview" page logged in as teacher
+    And I press "working"
+    Then I should see "Working code"
+    And "//span[@role='status' and contains(., 'Run complete')]" "xpath_element" should exist
+
+  Scenario: Checks that the outcome of a failed run is announced
+    When I am on the "accessibilitydemo" "core_question > preview" page logged in as teacher
+    And I press "broken"
+    Then I should see "SyntaxError"
+    And "//span[@role='status' and contains(., 'Run failed')]" "xpath_element" should exist
@@ -0,0 +1,43 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for setting Ace editor options
+  In order to configure the editor to suit my course
+  As a teacher
+  I need to be able to set Ace editor options for each element and by default
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name           |
+      | Test questions   | description | aceoptionsdemo |
+    And "aceoptionsdemo.txt" exists in question "aceoptionsdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the Ace options of an element are applied
+    When I am on the "aceoptionsdemo" "core_question > preview" page logged in as teacher
+    Then "//pre[contains(@data-button-name, 'invisibles')]/following-sibling::div[1]//span[contains(@class, 'ace_invisible')]" "xpath_element" should exist
+    And "//pre[contains(@data-button-name, 'defaults')]/following-sibling::div[1]//span[contains(@class, 'ace_invisible')]" "xpath_element" should not exist
+
+  Scenario: Checks that the administrator's default Ace options are applied
+    Given the following config values are set as admin:
+      | config      | value                    | plugin            |
+      | ace_options | {"showInvisibles": true} | filter_ace_inline |
+    When I am on the "aceoptionsdemo" "core_question > preview" page logged in as teacher
+    Then "//pre[contains(@data-button-name, 'defaults')]/following-sibling::div[1]//span[contains(@class, 'ace_invisible')]" "xpath_element" should exist
+
+  Scenario: Checks that invalid Ace options don't stop the code running
+    When I am on the "aceoptionsdemo" "core_question > preview" page logged in as teacher
+    And I press "invisibles"
+    Then I should see "Visible spaces"
+    And I press "invalid"
+    And I should see "Invalid options"
@@ -0,0 +1,56 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for rendering ANSI colours and styles in the output
+  In order to display coloured terminal output properly
+  As a teacher
+  I need ANSI escape codes in the output to be rendered as styled text
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name     |
+      | Test questions   | description | ansidemo |
+    And "ansidemo.txt" exists in question "ansidemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that ANSI escape codes are rendered when requested
+    When I am on the "ansidemo" "core_question > preview" page logged in as teacher
+    And I press "coloured"
+    Then I should see "Red text and plain text"
+    And I should not see "[1;31m"
+    And "span.filter-ace-inline-ansi-bold.filter-ace-inline-ansi-fg-1" "css_element" should exist
+
+  Scenario: Checks that ANSI escape codes are not rendered by default
+    When I am on the "ansidemo" "core_question > preview" page logged in as teacher
+    And I press "uncoloured"
+    Then I should see "[32mGreen text"
+    And "span.filter-ace-inline-ansi-fg-2" "css_element" should not exist
+
+  Scenario: Checks that the administrator setting makes rendering the default
+    Given the following config values are set as admin:
+      | config      | value | plugin            |
+      | ansi_output | 1     | filter_ace_inline |
+    When I am on the "ansidemo" "core_question > preview" page logged in as teacher
+    And I press "uncoloured"
+    Then I should not see "[32m"
+    And "span.filter-ace-inline-ansi-fg-2" "css_element" should exist
+    And I press "switchedoff"
+    And I should see "[34mBlue text"
+
+  Scenario: Checks that ANSI escape codes are ignored when checking the output
+    When I am on the "ansidemo" "core_question > preview" page logged in as teacher
+    And I press "colouredcheck"
+    Then I should see "Output is correct"
+    And I press "colouredtests"
+    And I should see "Passed 1 of 1 tests."
+    And "table.filter-ace-inline-results span.filter-ace-inline-ansi-fg-1" "css_element" should exist
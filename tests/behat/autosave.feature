@@ -0,0 +1,49 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for saving the user's code in the browser
+  In order not to lose their work when they leave or reload a page
+  As a student
+  I need my changes to the code to be saved and restored, and to be able to reset the code
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name         |
+      | Test questions   | description | autosavedemo |
+    And "autosavedemo.txt" exists in question "autosavedemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the user's code is restored when the page is reloaded and that Reset restores the original
+    When I am on the "autosavedemo" "core_question > preview" page logged in as teacher
+    And I set the code of the "autosave" ace inline element to "print('Edited' + ' code')"
+    And I reload the page
+    Then the code of the "autosave" ace inline element should be "print('Edited' + ' code')"
+    And I press "autosave"
+    And I should see "Edited code"
+    And I press "Reset to original"
+    And the code of the "autosave" ace inline element should be "print('Original' + ' code')"
+    And I reload the page
+    And the code of the "autosave" ace inline element should be "print('Original' + ' code')"
+
+  Scenario: Checks that the code saved for one user is not restored for another
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher2 | Teacher   | 2        | teach2@empl.com |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher2 | C1        | editingteacher |
+    When I am on the "autosavedemo" "core_question > preview" page logged in as teacher
+    And I set the code of the "autosave" ace inline element to "print('Edited' + ' code')"
+    And I log out
+    And I am on the "autosavedemo" "core_question > preview" page logged in as teacher2
+    Then the code of the "autosave" ace inline element should be "print('Original' + ' code')"
@@ -183,6 +183,119 @@ class behat_filter_ace_inline extends behat_base {
         }
     }
 
+    /**
+     * Attaches a file from the fixtures folder to the file input element with the given id.
+     *
+     * @When I attach the fixture file :filename to :id for filter ace inline
+     * @param string $filename The name of the file in fixtures.
+     * @param string $id The id of the input element of type file.
+     */
+    public function i_attach_fixture_file($filename, $id) {
+        $path = realpath(__DIR__.'/../fixtures/'.$filename);
+        $this->getSession()->getPage()->attachFileToField($id, $path);
+    }
+
+    /**
+     * Sets the code of the interactive element whose button has the given
+     * name, using the element's JavaScript API. A \n in the code is a newline.
+     *
+     * @When I set the code of the :buttonname ace inline element to :code
+     * @param string $buttonname The name of the element's button.
+     * @param string $code The code.
+     */
+    public function i_set_the_code_of_element($buttonname, $code) {
+        $code = json_encode(str_replace('\n', "\n", $code));
+        $this->getSession()->executeScript($this->element_script($buttonname) . ".aceInline.setCode($code);");
+    }
+
+    /**
+     * Checks the code of the interactive element whose button has the given
+     * name, using the element's JavaScript API. A \n in the code is a newline.
+     *
+     * @Then the code of the :buttonname ace inline element should be :code
+     * @throws ExpectationException The error message.
+     * @param string $buttonname The name of the element's button.
+     * @param string $code The expected code.
+     */
+    public function the_code_of_element_should_be($buttonname, $code) {
+        $code = str_replace('\n', "\n", $code);
+        $actual = $this->getSession()->evaluateScript('return ' . $this->element_script($buttonname) . '.aceInline.getCode();');
+        if ($actual !== $code) {
+            throw new ExpectationException("The code is '{$actual}', not '{$code}'", $this->getSession());
+        }
+    }
+
+    /**
+     * Types the given text at the start of the given line of the editor of the
+     * interactive element whose button has the given name, as the user would.
+     * A \n in the text is a newline.
+     *
+     * @When I type :text at the start of line :line of the :buttonname ace inline element
+     * @param string $text The text to type.
+     * @param int $line The line number, counting from 1.
+     * @param string $buttonname The name of the element's button.
+     */
+    public function i_type_into_element($text, $line, $buttonname) {
+        $text = json_encode(str_replace('\n', "\n", $text));
+        $row = (int) $line - 1;
+        $this->getSession()->executeScript('const editor = ' . $this->editor_script($buttonname) .
+            "; editor.moveCursorTo($row, 0); editor.insert($text);");
+    }
+
+    /**
+     * Undoes the last change to the code in the editor of the interactive
+     * element whose button has the given name, as Ctrl+Z would.
+     *
+     * @When I undo in the :buttonname ace inline element
+     * @param string $buttonname The name of the element's button.
+     */
+    public function i_undo_in_element($buttonname) {
+        $this->getSession()->executeScript('const editor = ' . $this->editor_script($buttonname) . '; editor.undo();');
+    }
+
+    /**
+     * Checks the lines highlighted by data-highlight-lines in the editor of
+     * the interactive element whose button has the given name.
+     *
+     * @Then the highlighted lines of the :buttonname ace inline element should be :lines
+     * @throws ExpectationException The error message.
+     * @param string $buttonname The name of the element's button.
+     * @param string $lines The comma-separated line numbers, counting from 1, e.g. 2,3.
+     */
+    public function the_highlighted_lines_of_element_should_be($buttonname, $lines) {
+        $actual = $this->getSession()->evaluateScript('return (() => { const markers = ' .
+            $this->editor_script($buttonname) . ".getSession().getMarkers(false); const lines = [];" .
+            " for (const marker of Object.values(markers).filter(m => /filter-ace-inline-line /.test(m.clazz))) {" .
+            " for (let row = marker.range.start.row; row <= marker.range.end.row; row++) { lines.push(row + 1); } }" .
+            " return lines.sort((a, b) => a - b).join(','); })();");
+        if ($actual !== $lines) {
+            throw new ExpectationException("The highlighted lines are '{$actual}', not '{$lines}'", $this->getSession());
+        }
+    }
+
+    /**
+     * Returns a JavaScript expression for the element (pre or code) whose
+     * button has the given name.
+     *
+     * @param string $buttonname The name of the element's button.
+     * @return string The JavaScript expression.
+     */
+    private function element_script($buttonname) {
+        return 'document.querySelector(' . json_encode('[data-button-name="' . $buttonname . '"]') . ')';
+    }
+
+    /**
+     * Returns a JavaScript expression for the Ace editor of the interactive
+     * element whose button has the given name.
+     *
+     * @param string $buttonname The name of the element's button.
+     * @return string The JavaScript expression.
+     */
+    private function editor_script($buttonname) {
+        return $this->element_script($buttonname) .
+            ".closest('pre').nextElementSibling.querySelector('.ace_editor').env.editor";
+    }
+
     /**
      * Adds the contents of a text file into a specified field in a question.
      *
@@ -0,0 +1,46 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the data-group notebook-style cells feature
+  In order to write notebook-style tutorials
+  As a teacher
+  I need running a cell to run the earlier cells in its group first
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name           |
+      | Test questions   | description | cellgroupsdemo |
+    And "cellgroupsdemo.txt" exists in question "cellgroupsdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that a cell can use code defined in an earlier cell
+    When I am on the "cellgroupsdemo" "core_question > preview" page logged in as teacher
+    And I should not see "Hi there, welcome to cells"
+    And I press "use"
+    Then I should see "Hi there, welcome to cells"
+    And I should not see "Defining greeting"
+
+  Scenario: Checks that the first cell in a group runs by itself
+    When I am on the "cellgroupsdemo" "core_question > preview" page logged in as teacher
+    And I press "define"
+    Then I should see "Defining greeting"
+
+  Scenario: Checks that data-cell-order determines which cells are earlier
+    When I am on the "cellgroupsdemo" "core_question > preview" page logged in as teacher
+    And I press "reordered"
+    Then I should see "42"
+
+  Scenario: Checks that a cell not in the group cannot use the group's code
+    When I am on the "cellgroupsdemo" "core_question > preview" page logged in as teacher
+    And I press "ungrouped"
+    Then I should see "NameError"
@@ -0,0 +1,32 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks that dynamically inserted code is displayed with Ace
+  In order to use the filter in content loaded by JavaScript
+  As a teacher
+  I need code inserted after the page has loaded to be enhanced automatically
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name               |
+      | Test questions   | description | dynamiccontentdemo |
+    And "dynamiccontentdemo.txt" exists in question "dynamiccontentdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that code inserted after the page has loaded can be run
+    When I am on the "dynamiccontentdemo" "core_question > preview" page logged in as teacher
+    And I press "static"
+    And I should see "Static code"
+    And I press "Insert code"
+    And I press "dynamic"
+    Then I should see "Dynamic code"
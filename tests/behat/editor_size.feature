@@ -0,0 +1,39 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the full-screen mode and resizable editor
+  In order to let students write longer programs comfortably
+  As a teacher
+  I need to be able to enlarge the editor
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name           |
+      | Test questions   | description | editorsizedemo |
+    And "editorsizedemo.txt" exists in question "editorsizedemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the full-screen button expands the block and restores it
+    When I am on the "editorsizedemo" "core_question > preview" page logged in as teacher
+    And "div.filter-ace-inline-fullscreen" "css_element" should not exist
+    And I click on "Full screen" "button"
+    Then "div.filter-ace-inline-fullscreen" "css_element" should exist
+    And I press "expandable"
+    And I should see "Expanded output"
+    And I click on "Exit full screen" "button"
+    And "div.filter-ace-inline-fullscreen" "css_element" should not exist
+
+  Scenario: Checks that the resize handle is displayed only when requested
+    When I am on the "editorsizedemo" "core_question > preview" page logged in as teacher
+    Then "div.filter-ace-inline-resize-handle" "css_element" should exist
+    And "//div[contains(@class, 'ace_editor')]/following-sibling::div[contains(@class, 'filter-ace-inline-resize-handle')]" "xpath_element" should exist
@@ -0,0 +1,50 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for marking the lines of code referred to by error messages
+  In order to let students find the lines that caused an error
+  As a teacher
+  I need the lines referred to by error messages to be marked in the editor
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name           |
+      | Test questions   | description | errorlinesdemo |
+    And "errorlinesdemo.txt" exists in question "errorlinesdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that a runtime error marks the right line, allowing for the prefix
+    When I am on the "errorlinesdemo" "core_question > preview" page logged in as teacher
+    And "div.filter-ace-inline-error-line" "css_element" should not exist
+    And I press "runtime"
+    Then I should see "NameError"
+    And "//div[contains(@class, 'ace_gutter-cell') and contains(@class, 'ace_error') and normalize-space(.)='11']" "xpath_element" should exist
+    And "div.filter-ace-inline-error-line" "css_element" should exist
+
+  Scenario: Checks that a syntax error marks the right line
+    When I am on the "errorlinesdemo" "core_question > preview" page logged in as teacher
+    And I press "syntax"
+    Then I should see "SyntaxError"
+    And "div.filter-ace-inline-error-line" "css_element" should exist
+
+  Scenario: Checks that a successful run marks no lines
+    When I am on the "errorlinesdemo" "core_question > preview" page logged in as teacher
+    And I press "working"
+    Then I should see "No errors"
+    And "div.filter-ace-inline-error-line" "css_element" should not exist
+
+  Scenario: Checks that the right line is marked when the prefix contains the editor's code
+    When I am on the "errorlinesdemo" "core_question > preview" page logged in as teacher
+    And I press "repeated"
+    Then I should see "ZeroDivisionError"
+    And "//div[contains(@class, 'ace_gutter-cell') and contains(@class, 'ace_error') and normalize-space(.)='1']" "xpath_element" should exist
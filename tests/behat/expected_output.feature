@@ -0,0 +1,53 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the data-expected-output self-check feature
+  In order to let students check their own code
+  As a teacher
+  I need to be able to specify the expected output of a run
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name               |
+      | Test questions   | description | expectedoutputdemo |
+    And "expectedoutputdemo.txt" exists in question "expectedoutputdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that correct output is reported as correct
+    When I am on the "expectedoutputdemo" "core_question > preview" page logged in as teacher
+    And I should not see "Output is correct"
+    And I press "rightoutput"
+    Then I should see "Output is correct"
+    And I should not see "Output does not match the expected output"
+
+  Scenario: Checks that incorrect output is reported with a diff
+    When I am on the "expectedoutputdemo" "core_question > preview" page logged in as teacher
+    And I press "wrongoutput"
+    Then I should see "Output does not match the expected output"
+    And I should see "Goodbye world!"
+    And I should see "Farewell world!"
+
+  Scenario: Checks that case and white space can be ignored
+    When I am on the "expectedoutputdemo" "core_question > preview" page logged in as teacher
+    And I press "ignorecase"
+    Then I should see "Output is correct"
+
+  Scenario: Checks that the expected output can be taken from a textarea
+    When I am on the "expectedoutputdemo" "core_question > preview" page logged in as teacher
+    And I press "fromtextarea"
+    Then I should see "Output is correct"
+
+  Scenario: Checks that a bad expected-taid throws an appropriate error
+    When I am on the "expectedoutputdemo" "core_question > preview" page logged in as teacher
+    And I press "badtaid"
+    Then I should see "Id not found for element"
@@ -0,0 +1,45 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for uploading files
+  In order to let students run programs that read data files
+  As a teacher
+  I need students to be able to upload text and binary files and manage them
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name           |
+      | Test questions   | description | fileuploaddemo |
+    And "fileuploaddemo.txt" exists in question "fileuploaddemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that uploaded text and binary files are listed and sent to the sandbox
+    When I am on the "fileuploaddemo" "core_question > preview" page logged in as teacher
+    And I should see "Drag and drop files here to upload them"
+    And I attach the fixture file "uploadtext.txt" to "demo-uploader" for filter ace inline
+    And I attach the fixture file "uploadimage.png" to "demo-uploader" for filter ace inline
+    And I should see "uploadtext.txt (14 bytes)"
+    And I should see "uploadimage.png (67 bytes, binary)"
+    And I press "listfiles"
+    Then I should see "uploadimage.png PNG 67 bytes"
+    And I should see "uploadtext.txt Uploaded text"
+
+  Scenario: Checks that an attached file can be removed
+    When I am on the "fileuploaddemo" "core_question > preview" page logged in as teacher
+    And I attach the fixture file "uploadtext.txt" to "demo-uploader" for filter ace inline
+    And I attach the fixture file "uploadimage.png" to "demo-uploader" for filter ace inline
+    And I click on "//li[@data-filename='uploadtext.txt']/button[@data-action='remove']" "xpath_element"
+    And I should not see "uploadtext.txt (14 bytes)"
+    And I press "listfiles"
+    Then I should see "uploadimage.png PNG 67 bytes"
+    And I should not see "Uploaded text"
@@ -0,0 +1,45 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for highlighting lines of code
+  In order to draw students' attention to particular lines of code
+  As a teacher
+  I need to be able to highlight lines in both highlight and interactive blocks
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name               |
+      | Test questions   | description | highlightlinesdemo |
+    And "highlightlinesdemo.txt" exists in question "highlightlinesdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the given lines are highlighted in a highlight block
+    When I am on the "highlightlinesdemo" "core_question > preview" page logged in as teacher
+    Then "div.filter-ace-inline-line-emphasis" "css_element" should exist
+    And "div.filter-ace-inline-line-added" "css_element" should exist
+
+  Scenario: Checks that the given lines are highlighted in an interactive block
+    When I am on the "highlightlinesdemo" "core_question > preview" page logged in as teacher
+    Then "div.filter-ace-inline-line-removed" "css_element" should exist
+    And I press "walkthrough"
+    And I should see "Old line"
+
+  Scenario: Checks that the highlights in an interactive block move with their lines
+    When I am on the "highlightlinesdemo" "core_question > preview" page logged in as teacher
+    Then the highlighted lines of the "walkthrough" ace inline element should be "1,2"
+    And I type "# A new first line\n" at the start of line 1 of the "walkthrough" ace inline element
+    And the highlighted lines of the "walkthrough" ace inline element should be "2,3"
+    And I type "# Between the highlights\n" at the start of line 3 of the "walkthrough" ace inline element
+    And the highlighted lines of the "walkthrough" ace inline element should be "2,4"
+    And I set the code of the "walkthrough" ace inline element to "print('Reset')\nprint('code')"
+    And the highlighted lines of the "walkthrough" ace inline element should be "1,2"
@@ -0,0 +1,59 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the run history feature
+  In order to let students go back to earlier versions of their code
+  As a teacher
+  I need each interactive element to keep a history of recent runs
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name        |
+      | Test questions   | description | historydemo |
+    And "historydemo.txt" exists in question "historydemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the run history appears after a successful run
+    When I am on the "historydemo" "core_question > preview" page logged in as teacher
+    And I should not see "Run history"
+    And I press "working"
+    Then I should see "Working code"
+    And I should see "Run history"
+    And "//option[contains(., '(succeeded)')]" "xpath_element" should exist
+
+  Scenario: Checks that failed runs are recorded as failed
+    When I am on the "historydemo" "core_question > preview" page logged in as teacher
+    And I press "broken"
+    Then I should see "SyntaxError"
+    And "//option[contains(., '(failed)')]" "xpath_element" should exist
+
+  Scenario: Checks that the run history can be switched off
+    When I am on the "historydemo" "core_question > preview" page logged in as teacher
+    And I press "nohistory"
+    Then I should see "No history"
+    And I should not see "Run history"
+
+  Scenario: Checks that restoring an earlier run restores its code, standard input and output
+    When I am on the "historydemo" "core_question > preview" page logged in as teacher
+    And I set the field with xpath "//pre[@data-button-name='restore']/following-sibling::div[1]//textarea" to "first"
+    And I press "restore"
+    And I should see "Got first"
+    And I set the code of the "restore" ace inline element to "print('Changed', input())"
+    And I set the field with xpath "//pre[@data-button-name='restore']/following-sibling::div[1]//textarea" to "second"
+    And I press "restore"
+    And I should see "Changed second"
+    And I set the field with xpath "//pre[@data-button-name='restore']/following-sibling::div[1]//div[contains(@class, 'filter-ace-inline-history')]//select" to "1"
+    Then the code of the "restore" ace inline element should be "print('Got', input())\n"
+    And the field with xpath "//pre[@data-button-name='restore']/following-sibling::div[1]//textarea" matches value "first"
+    And I should see "Got first"
+    And I should not see "Changed second"
@@ -0,0 +1,49 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks that images printed as data URIs are displayed
+  In order to show graphs and other images produced by programs
+  As a teacher
+  I need image data URIs in the program output to be displayed as images
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name            |
+      | Test questions   | description | imageoutputdemo |
+    And "imageoutputdemo.txt" exists in question "imageoutputdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that an image data URI line is displayed as an image between the text
+    When I am on the "imageoutputdemo" "core_question > preview" page logged in as teacher
+    And "img.filter-ace-inline-output-image" "css_element" should not exist
+    And I press "image"
+    Then "img.filter-ace-inline-output-image" "css_element" should exist
+    And I should see "Before the image"
+    And I should see "After the image"
+
+  Scenario: Checks that an invalid data URI line is displayed as text
+    When I am on the "imageoutputdemo" "core_question > preview" page logged in as teacher
+    And I press "noimage"
+    Then "img.filter-ace-inline-output-image" "css_element" should not exist
+
+  Scenario: Checks that matplotlib graphs are displayed
+    When I am on the "imageoutputdemo" "core_question > preview" page logged in as teacher
+    And I press "matplotlib"
+    Then "img.filter-ace-inline-output-image" "css_element" should exist
+    And I should see "And here is a cosine wave"
+
+  Scenario: Checks that images are not displayed without data-image-output
+    When I am on the "imageoutputdemo" "core_question > preview" page logged in as teacher
+    And I press "disabled"
+    Then "img.filter-ace-inline-output-image" "css_element" should not exist
+    And I should see "data:image/png;base64,iVBORw0KGgo"
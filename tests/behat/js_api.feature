@@ -0,0 +1,54 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the JavaScript API and events
+  In order to integrate interactive code with my own page scripts
+  As a teacher
+  I need a JavaScript API for each block and events for each run
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name      |
+      | Test questions   | description | jsapidemo |
+    And "jsapidemo.txt" exists in question "jsapidemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that a before-run listener can modify the code
+    When I am on the "jsapidemo" "core_question > preview" page logged in as teacher
+    And I press "modify"
+    Then I should see "This is the modified code"
+    And I should see "Completed run successfully"
+
+  Scenario: Checks that a before-run listener can prevent the run
+    When I am on the "jsapidemo" "core_question > preview" page logged in as teacher
+    And I press "veto"
+    Then I should see "Vetoed run"
+    And I should not see "Hidden output"
+    And I should not see "Completed run"
+    And "//pre[@data-button-name='veto']/following-sibling::div[1]//span[@role='status' and .='Run cancelled']" "xpath_element" should exist
+
+  Scenario: Checks that a run error event is dispatched
+    When I am on the "jsapidemo" "core_question > preview" page logged in as teacher
+    And I press "badparams"
+    Then I should see "Run error:"
+
+  Scenario: Checks that page scripts can set the code, run it and get the result
+    When I am on the "jsapidemo" "core_question > preview" page logged in as teacher
+    And I press "Use the API"
+    Then I should see "Got Set by the API"
+
+  Scenario: Checks that the result of a cell doesn't include the output of earlier cells
+    When I am on the "jsapidemo" "core_question > preview" page logged in as teacher
+    And I press "Use the API on a cell"
+    Then I should see "Cell got Second cell"
+    And I should not see "Cell got First cell"
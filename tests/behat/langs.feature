@@ -0,0 +1,64 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for a user-selectable language
+  In order to set exercises that can be done in any of several languages
+  As a teacher
+  I need to be able to let students choose the language of an interactive element
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name      |
+      | Test questions   | description | langsdemo |
+    And "langsdemo.txt" exists in question "langsdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the code runs in the initial language
+    When I am on the "langsdemo" "core_question > preview" page logged in as teacher
+    Then "//pre[@data-button-name='any language']/following-sibling::div[1]//select/option[@value='c']" "xpath_element" should exist
+    And I press "any language"
+    And I should see "Sum is 7"
+
+  Scenario: Checks that choosing a language swaps in its starter code and runs it in that language
+    When I am on the "langsdemo" "core_question > preview" page logged in as teacher
+    And I set the field with xpath "//pre[@data-button-name='any language']/following-sibling::div[1]//select" to "c"
+    And I press "any language"
+    Then I should see "Sum is 7"
+    And I should not see "SyntaxError"
+
+  Scenario: Checks that data-lang gives the initial language
+    When I am on the "langsdemo" "core_question > preview" page logged in as teacher
+    Then the field with xpath "//pre[@data-button-name='initial c']/following-sibling::div[1]//select" matches value "c"
+    And I press "initial c"
+    And I should see "Hello from C"
+
+  Scenario: Checks that a TinyMCE language class gives the initial language
+    When I am on the "langsdemo" "core_question > preview" page logged in as teacher
+    Then the field with xpath "//pre[@data-button-name='class c']/following-sibling::div[1]//select" matches value "c"
+    And I press "class c"
+    And I should see "Hello from the C class"
+
+  Scenario: Checks that restoring a run from the history restores its language and the changes follow the language
+    When I am on the "langsdemo" "core_question > preview" page logged in as teacher
+    And I press "history langs"
+    And I should see "Total is 7"
+    And I set the field with xpath "//pre[@data-button-name='history langs']/following-sibling::div[1]//span[contains(@class, 'filter-ace-inline-langs')]/select" to "c"
+    And I press "history langs"
+    And I should see "Total in C is 7"
+    And I press "Show my changes"
+    And I should see "You have not changed the code."
+    And I set the field with xpath "//pre[@data-button-name='history langs']/following-sibling::div[1]//div[contains(@class, 'filter-ace-inline-history')]//select" to "1"
+    Then the code of the "history langs" ace inline element should be "print('Total' + ' is', 3 + 4)"
+    And the field with xpath "//pre[@data-button-name='history langs']/following-sibling::div[1]//span[contains(@class, 'filter-ace-inline-langs')]/select" matches value "python3"
+    And I should see "Total is 7"
+    And I should see "You have not changed the code."
@@ -0,0 +1,54 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for locking lines of code
+  In order to give students scaffolding code that they can't change
+  As a teacher
+  I need to be able to lock lines of code in an editable block
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name            |
+      | Test questions   | description | lockedlinesdemo |
+    And "lockedlinesdemo.txt" exists in question "lockedlinesdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that lines between comment markers are locked and the markers are hidden
+    When I am on the "lockedlinesdemo" "core_question > preview" page logged in as teacher
+    Then I should not see "locked-start"
+    And I should not see "locked-end"
+    And "//pre[@data-button-name='markers']/following-sibling::div[1]//div[contains(@class, 'filter-ace-inline-locked-line')]" "xpath_element" should exist
+    And I press "markers"
+    And I should see "Square is 25"
+
+  Scenario: Checks that lines given by the locked-lines attribute are locked
+    When I am on the "lockedlinesdemo" "core_question > preview" page logged in as teacher
+    Then "//pre[@data-button-name='attribute']/following-sibling::div[1]//div[contains(@class, 'filter-ace-inline-locked-line')]" "xpath_element" should exist
+    And I press "attribute"
+    And I should see "Total is 10"
+
+  Scenario: Checks that a locked line can't be edited but other lines can
+    When I am on the "lockedlinesdemo" "core_question > preview" page logged in as teacher
+    And I type "# " at the start of line 1 of the "editing" ace inline element
+    Then the code of the "editing" ace inline element should be "x = 1\ny = 2"
+    And I type "# " at the start of line 2 of the "editing" ace inline element
+    And the code of the "editing" ace inline element should be "x = 1\n# y = 2"
+    And I undo in the "editing" ace inline element
+    And the code of the "editing" ace inline element should be "x = 1\ny = 2"
+
+  Scenario: Checks that a range of locked lines beyond the end of the code is cut short
+    When I am on the "lockedlinesdemo" "core_question > preview" page logged in as teacher
+    And I type "# " at the start of line 3 of the "unbounded" ace inline element
+    Then the code of the "unbounded" ace inline element should be "a = 1\nb = 2\nc = 3"
+    And I type "# " at the start of line 1 of the "unbounded" ace inline element
+    And the code of the "unbounded" ace inline element should be "# a = 1\nb = 2\nc = 3"
@@ -0,0 +1,58 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the output mapper
+  In order to customise how the results of runs are displayed
+  As a teacher
+  I need to be able to post-process the sandbox response with a JavaScript function
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name             |
+      | Test questions   | description | outputmapperdemo |
+    And "outputmapperdemo.txt" exists in question "outputmapperdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that a structured result modifies the output
+    When I am on the "outputmapperdemo" "core_question > preview" page logged in as teacher
+    And I press "structured"
+    Then I should see "Interesting output"
+    And I should not see "BOILERPLATE"
+
+  Scenario: Checks that a text result is displayed as text
+    When I am on the "outputmapperdemo" "core_question > preview" page logged in as teacher
+    And I press "text"
+    Then I should see "Result code was 15"
+    And I should not see "Ignored"
+
+  Scenario: Checks that an HTML result is inserted as HTML
+    When I am on the "outputmapperdemo" "core_question > preview" page logged in as teacher
+    And I press "html"
+    Then "strong.mapped-html" "css_element" should exist
+    And I should see "Bold output"
+
+  Scenario: Checks that a null result gives the usual output
+    When I am on the "outputmapperdemo" "core_question > preview" page logged in as teacher
+    And I press "default"
+    Then I should see "Default output"
+
+  Scenario: Checks that errors in the output mapper are reported
+    When I am on the "outputmapperdemo" "core_question > preview" page logged in as teacher
+    And I press "broken"
+    Then I should see "Error in output mapper function"
+    And I should see "Mapper failed"
+
+  Scenario: Checks that a missing output mapper function is reported
+    When I am on the "outputmapperdemo" "core_question > preview" page logged in as teacher
+    And I press "missing"
+    Then I should see "Mapped function was not found on page"
@@ -0,0 +1,40 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the separate display of the compiler output, output and error output
+  In order to let students tell their program's output from its error messages
+  As a teacher
+  I need the output streams of a run to be displayed in separate, labelled sections
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name              |
+      | Test questions   | description | outputstreamsdemo |
+    And "outputstreamsdemo.txt" exists in question "outputstreamsdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the output and error output are displayed separately
+    When I am on the "outputstreamsdemo" "core_question > preview" page logged in as teacher
+    And I press "separated"
+    Then I should see "Normal output"
+    And I should see "Problem report"
+    And "//div[contains(@class, 'filter-ace-inline-stream-output')][contains(., 'Normal output')]" "xpath_element" should exist
+    And "//div[contains(@class, 'filter-ace-inline-stream-stderr')][contains(., 'Problem report')]" "xpath_element" should exist
+    And "div.filter-ace-inline-stream-cmpinfo" "css_element" should not exist
+
+  Scenario: Checks that the legacy combined display can be chosen
+    When I am on the "outputstreamsdemo" "core_question > preview" page logged in as teacher
+    And I press "combined"
+    Then I should see "Combined output"
+    And I should see "Combined problem"
+    And "div.filter-ace-inline-stream" "css_element" should not exist
@@ -0,0 +1,43 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for multi-file projects
+  In order to show and run programs made up of several files
+  As a teacher
+  I need to be able to put each file of a program in its own tab
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name        |
+      | Test questions   | description | projectdemo |
+    And "projectdemo.txt" exists in question "projectdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that each file of a project is displayed in its own tab
+    When I am on the "projectdemo" "core_question > preview" page logged in as teacher
+    Then "//div[contains(@class, 'filter-ace-inline-project')]//button[@role='tab'][text()='main.py']" "xpath_element" should exist
+    And "//div[contains(@class, 'filter-ace-inline-project')]//button[@role='tab'][text()='shapes.py']" "xpath_element" should exist
+    And "//button[@role='tab'][text()='main.py'][@aria-selected='true']" "xpath_element" should exist
+    And I click on "shapes.py" "button"
+    And "//button[@role='tab'][text()='shapes.py'][@aria-selected='true']" "xpath_element" should exist
+
+  Scenario: Checks that the main file of a Python project can import the other file
+    When I am on the "projectdemo" "core_question > preview" page logged in as teacher
+    And I press "python project"
+    Then I should see "Area is 12"
+
+  Scenario: Checks that the main file of a C project can include a read-only header file
+    When I am on the "projectdemo" "core_question > preview" page logged in as teacher
+    Then "//button[@role='tab'][text()='main.c'][@aria-selected='true']" "xpath_element" should exist
+    And I press "c project"
+    And I should see "Square is 25"
@@ -0,0 +1,52 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the running indicator, cancelling runs and the client timeout
+  In order to know that a run is in progress and to stop waiting for it
+  As a student
+  I need a running indicator, a Cancel button and a time limit on waiting for the server
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name        |
+      | Test questions   | description | runningdemo |
+    And "runningdemo.txt" exists in question "runningdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the running indicator is shown while the code runs
+    When I am on the "runningdemo" "core_question > preview" page logged in as teacher
+    And I should not see "Running..."
+    And I press "slow"
+    Then I should see "Running..."
+    And the "slow" "button" should be disabled
+    And I wait until "Slow run finished" "text" exists
+    And I should not see "Running..."
+    And the "slow" "button" should be enabled
+
+  Scenario: Checks that cancelling a run stops waiting for it and discards its output
+    When I am on the "runningdemo" "core_question > preview" page logged in as teacher
+    And I press "slow"
+    And I should see "Running..."
+    And I click on "Cancel" "button"
+    Then I should not see "Running..."
+    And the "slow" "button" should be enabled
+    And I wait "5" seconds
+    And I should not see "Slow run finished"
+
+  Scenario: Checks that the run gives up after the client timeout
+    When I am on the "runningdemo" "core_question > preview" page logged in as teacher
+    And I press "timeout"
+    Then I should see "No response from the server after 1 seconds"
+    And I should not see "Running..."
+    And I wait "5" seconds
+    And I should not see "Timed out run finished"
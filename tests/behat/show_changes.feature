@@ -0,0 +1,50 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for showing the changes to the original code
+  In order to let students see what they have changed
+  As a teacher
+  I need a diff between the original code and the current code
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name            |
+      | Test questions   | description | showchangesdemo |
+    And "showchangesdemo.txt" exists in question "showchangesdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that unchanged code is reported as such
+    When I am on the "showchangesdemo" "core_question > preview" page logged in as teacher
+    And I press "Show my changes"
+    Then I should see "You have not changed the code."
+
+  Scenario: Checks that changes are shown and can be reverted
+    When I am on the "showchangesdemo" "core_question > preview" page logged in as teacher
+    And I press "Edit the code"
+    And I press "Show my changes"
+    Then I should see "Line 2"
+    And I should see "- print(\"Second line\")"
+    And I press "Revert"
+    And I should see "You have not changed the code."
+    And I press "changes"
+    And I should see "Second line"
+
+  Scenario: Checks that a deletion of the first line is shown and can be reverted and undone
+    When I am on the "showchangesdemo" "core_question > preview" page logged in as teacher
+    And I press "Delete the first line"
+    And I press "Show my changes"
+    Then I should see "Lines deleted before line 1"
+    And I press "Revert"
+    And I should see "You have not changed the code."
+    And I undo in the "changes" ace inline element
+    And I should see "Lines deleted before line 1"
@@ -0,0 +1,36 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the data-stdin-box feature
+  In order to let students supply their own standard input
+  As a teacher
+  I need to be able to display a standard input box below the code
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name         |
+      | Test questions   | description | stdinboxdemo |
+    And "stdinboxdemo.txt" exists in question "stdinboxdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the stdin box is initialised from data-stdin
+    When I am on the "stdinboxdemo" "core_question > preview" page logged in as teacher
+    And the field "Standard input" matches value "Jacob"
+    And I press "greet"
+    Then I should see "Hi Jacob!"
+
+  Scenario: Checks that the stdin box contents are used as standard input
+    When I am on the "stdinboxdemo" "core_question > preview" page logged in as teacher
+    And I set the field "Standard input" to "Michelle"
+    And I press "greet"
+    Then I should see "Hi Michelle!"
@@ -0,0 +1,49 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the data-tests feature
+  In order to let students test their code against several inputs
+  As a teacher
+  I need to be able to run the code once per test case and see a table of results
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name      |
+      | Test questions   | description | testsdemo |
+    And "testsdemo.txt" exists in question "testsdemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that each test case is run with its own standard input
+    When I am on the "testsdemo" "core_question > preview" page logged in as teacher
+    And I should not see "Passed 2 of 3 tests."
+    And I press "square"
+    Then I should see "Passed 2 of 3 tests."
+    And I should see "16"
+    And I should see "25"
+
+  Scenario: Checks that each test case can supply its own files
+    When I am on the "testsdemo" "core_question > preview" page logged in as teacher
+    And I press "readfile"
+    Then I should see "Passed 2 of 2 tests."
+
+  Scenario: Checks that testing stops after an error if requested
+    When I am on the "testsdemo" "core_question > preview" page logged in as teacher
+    And I press "stoponerror"
+    Then I should see "ZeroDivisionError"
+    And I should see "Testing was stopped after an error."
+    And I should see "Passed 0 of 2 tests."
+
+  Scenario: Checks that badly formatted tests throw an appropriate error
+    When I am on the "testsdemo" "core_question > preview" page logged in as teacher
+    And I press "badtests"
+    Then I should see "Tests are not a list in correct JSON format"
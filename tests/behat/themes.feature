@@ -0,0 +1,33 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the choice of Ace themes
+  In order to match the appearance of the code to my course
+  As a teacher
+  I need to be able to choose the light and dark Ace themes
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name      |
+      | Test questions   | description | themedemo |
+    And "themedemo.txt" exists in question "themedemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the default light theme is used
+    When I am on the "themedemo" "core_question > preview" page logged in as teacher
+    Then "div.ace-tm" "css_element" should exist
+
+  Scenario: Checks that the data-theme attribute selects the themes
+    When I am on the "themedemo" "core_question > preview" page logged in as teacher
+    Then "div.ace-github" "css_element" should exist
+    And "div.ace-monokai" "css_element" should exist
@@ -0,0 +1,44 @@
+@filter @filter_ace_inline @javascript
+Feature: Checks for the copy and download buttons
+  In order to let students copy or save code and output
+  As a teacher
+  I need to be able to add copy and download buttons to code elements
+
+  Background:
+    Given the following "users" exist:
+      | username | firstname | lastname | email           |
+      | teacher  | Teacher   | 1        | teach1@empl.com |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user     | course    | role           |
+      | teacher  | C1        | editingteacher |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype       | name        |
+      | Test questions   | description | toolbardemo |
+    And "toolbardemo.txt" exists in question "toolbardemo" "questiontext" for filter ace inline
+    And I have enabled the sandbox and ace inline filter
+
+  Scenario: Checks that the toolbar buttons are displayed only when requested
+    When I am on the "toolbardemo" "core_question > preview" page logged in as teacher
+    Then I should see "Copy code"
+    And I should see "Download code"
+    And I should see "Copy output"
+    And I should see "Download output"
+    And "//button[@type='button' and contains(., 'notoolbar')]/following-sibling::span[contains(@class, 'filter-ace-inline-toolbar')]" "xpath_element" should not exist
+
+  Scenario: Checks that downloading the code displays a confirmation message
+    When I am on the "toolbardemo" "core_question > preview" page logged in as teacher
+    And I click on "Download code" "button"
+    Then I should see "Downloaded"
+
+  Scenario: Checks that the output can be downloaded after a run
+    When I am on the "toolbardemo" "core_question > preview" page logged in as teacher
+    And I press "withtoolbar"
+    And I should see "With toolbar"
+    And I press "Download output"
+    Then I should see "Downloaded"